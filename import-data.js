@@ -1,41 +1,116 @@
 require('dotenv').config();
 const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const { MongoClient, ServerApiVersion } = require('mongodb');
 const csv = require('csv-parser');
+const { buildDataVersionFilter } = require('./lib/pipelines');
+const { DEFAULT_FIXTURE_DIR, createFixtureWriter } = require('./lib/fixture-db');
+
+const path = require('path');
+
+// Get the import type and options from command line arguments
+const importType = process.argv[2]; // e.g., 'players' or 'teams'
+const flags = process.argv.slice(3);
+
+// --incremental upserts on each collection's natural key instead of wiping and reloading it
+const incremental = flags.includes('--incremental');
+
+// --dry-run validates the file and prints the data-quality report without touching the database
+const dryRun = flags.includes('--dry-run');
+
+// --fixture writes the documents to FIXTURE_DIR for the offline backend (DATA_BACKEND=fixture) instead of the database
+const fixture = flags.includes('--fixture');
+const fixtureDir = process.env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+// --seasons=2019,2020 only keeps game rows from those seasons, e.g. to build a small fixture
+const seasonsFlag = flags.find((flag) => flag.startsWith('--seasons='));
+const seasons = seasonsFlag ? seasonsFlag.slice('--seasons='.length).split(',') : null;
+
+if (fixture && incremental) {
+  console.error('Error: --fixture always writes the whole file and cannot be combined with --incremental');
+  process.exit(1);
+}
 
 const url = process.env.MONGO_URI;
+const usesDatabase = !dryRun && !fixture;
 
-if (!url) {
+if (!url && usesDatabase) {
   console.error('Error: MONGO_URI is not defined in the .env file');
   process.exit(1);
 }
 
-const client = new MongoClient(url);
+const client = usesDatabase ? new MongoClient(url) : null;
 
 const dbName = 'nba_db';
 
-// Get the import type from command line arguments
-const importType = process.argv[2]; // e.g., 'players' or 'teams'
+// Rows that fail validation are written here (one JSON object per line) instead of being imported
+const QUARANTINE_DIR = './quarantine';
 
-let collectionName;
-let filePath;
-
-if (importType === 'players') {
-  collectionName = 'players';
-  filePath = './nba_dataset/traditional.csv';
-} else if (importType === 'teams') {
-  collectionName = 'teams';
-  filePath = './nba_dataset/team_traditional.csv';
-} else if (importType === 'team_names') {
-  collectionName = 'team_names';
-  filePath = './nba_dataset/team_names.csv';
-} else {
-  console.error("Invalid import type. Please specify 'players', 'teams', or 'team_names'.");
-  console.error("Usage: npm run import -- <type>");
-  console.error("Example: npm run import -- players");
+// Rows are written in batches of this size while the CSV streams in, to keep memory flat
+const BATCH_SIZE = 1000;
+
+/**
+ * Import settings per type. `naturalKey` lists the fields that uniquely identify
+ * a row and is used as the upsert filter in incremental mode.
+ */
+const IMPORT_TYPES = {
+  players: {
+    collectionName: 'players',
+    filePath: './nba_dataset/traditional.csv',
+    transform: transformPlayerData,
+    naturalKey: ['gameId', 'playerId'],
+    validate: (data, doc, context) => validateGameRow(data, doc, context, 'playerId'),
+  },
+  teams: {
+    collectionName: 'teams',
+    filePath: './nba_dataset/team_traditional.csv',
+    transform: transformTeamData,
+    naturalKey: ['gameId', 'teamId'],
+    validate: (data, doc, context) => validateGameRow(data, doc, context, 'teamId'),
+  },
+  team_names: {
+    collectionName: 'team_names',
+    filePath: './nba_dataset/team_names.csv',
+    transform: (data) => data, // Simple CSVs like team_names are imported as-is
+    naturalKey: ['abbreviation'],
+    validate: validateTeamNameRow,
+  },
+  franchises: {
+    collectionName: 'franchises',
+    filePath: './nba_dataset/franchises.csv',
+    transform: transformFranchiseData,
+    naturalKey: ['abbreviation', 'from'],
+    validate: validateFranchiseRow,
+  },
+};
+
+if (!IMPORT_TYPES[importType]) {
+  console.error("Invalid import type. Please specify 'players', 'teams', 'team_names', or 'franchises'.");
+  console.error("Usage: npm run import -- <type> [--incremental] [--dry-run] [--fixture] [--seasons=YYYY,...]");
+  console.error("Example: npm run import -- players --incremental");
+  console.error("Example: npm run import -- players --fixture --seasons=2019");
   process.exit(1);
 }
 
+const { collectionName, filePath, transform, naturalKey, validate } = IMPORT_TYPES[importType];
+
+// Only game rows carry team codes to check against team_names.csv
+const hasTeamCodes = importType === 'players' || importType === 'teams';
+
+// Every file the import reads must be readable before a collection is cleared or a fixture file truncated.
+// team_names.csv is optional for game rows: without it, unknown team codes just aren't flagged.
+const inputFiles = [filePath];
+if (hasTeamCodes && fs.existsSync(IMPORT_TYPES.team_names.filePath)) inputFiles.push(IMPORT_TYPES.team_names.filePath);
+for (const file of inputFiles) {
+  try {
+    fs.accessSync(file, fs.constants.R_OK);
+    if (!fs.statSync(file).isFile()) throw new Error('not a file');
+  } catch (err) {
+    console.error(`Error: cannot read "${file}" (${err.code || err.message}). Nothing was changed.`);
+    process.exit(1);
+  }
+}
+
 /**
  * Transforms a raw CSV data row for a player into a structured document
  * with appropriate data types.
@@ -111,51 +186,362 @@ function transformTeamData(data) {
   return transformed;
 }
 
+/**
+ * Transforms a franchises.csv row (one era of a franchise: an abbreviation, name and
+ * conference/division alignment over a date range) into a document. An empty `to` means the era is current.
+ * @param {object} data - The raw data object from csv-parser.
+ * @returns {object} The transformed franchise era document.
+ */
+function transformFranchiseData(data) {
+  return {
+    franchiseId: data.franchiseId,
+    abbreviation: data.abbreviation,
+    name: data.name,
+    from: new Date(data.from),
+    to: data.to ? new Date(data.to) : null,
+    conference: data.conference || null,
+    division: data.division || null,
+  };
+}
+
+// Stat columns shared by the player and team CSVs, checked for missing values
+const STAT_FIELDS = [
+  'MIN', 'PTS', 'FGM', 'FGA', 'FG%', '3PM', '3PA', '3P%', 'FTM', 'FTA', 'FT%',
+  'OREB', 'DREB', 'REB', 'AST', 'STL', 'BLK', 'TOV', 'PF', '+/-'
+];
+
+// Counting stats that can never be negative
+const NON_NEGATIVE_FIELDS = ['MIN', 'PTS', 'FGM', 'FGA', '3PM', '3PA', 'FTM', 'FTA', 'OREB', 'DREB', 'REB', 'AST', 'STL', 'BLK', 'TOV', 'PF'];
+
+// [made, attempted] pairs (and sub-totals) where the first can never exceed the second
+const IMPOSSIBLE_PAIRS = [['FGM', 'FGA'], ['3PM', '3PA'], ['FTM', 'FTA'], ['3PM', 'FGM'], ['3PA', 'FGA'], ['OREB', 'REB'], ['DREB', 'REB']];
+
+const WIN_VALUES = ['1', '1.0', '0', '0.0', 'true', 'false'];
+
+// Conferences a franchises row can list, used to group the standings
+const CONFERENCES = ['East', 'West'];
+
+/**
+ * Checks a transformed player or team game row for values the transform functions
+ * would otherwise let through silently (NaN ids, invalid dates, impossible stat lines).
+ * Missing stats and unknown team codes are only recorded in the report; the returned
+ * errors cause the row to be quarantined.
+ * @param {object} data - The raw data object from csv-parser.
+ * @param {object} doc - The transformed document.
+ * @param {object} context - The known team abbreviations and the report to record warnings in.
+ * @param {string} idField - The id field for this collection ('playerId' or 'teamId').
+ * @returns {string[]} The validation errors; empty if the row can be imported.
+ */
+function validateGameRow(data, doc, { knownTeams, report }, idField) {
+  const errors = [];
+
+  if (!Number.isInteger(doc.gameId)) errors.push('invalid gameId');
+  if (!Number.isInteger(doc[idField])) errors.push(`invalid ${idField}`);
+  if (Number.isNaN(doc.date.getTime())) errors.push(`invalid date "${data.date}"`);
+  if (!/^\d{4}$/.test(doc.season || '')) errors.push(`invalid season "${data.season}"`);
+  if (!WIN_VALUES.includes(String(data.win).toLowerCase())) errors.push(`invalid win value "${data.win}"`);
+
+  STAT_FIELDS.forEach((field) => {
+    if (data[field] === undefined || data[field].trim() === '') {
+      report.missingFields[field] = (report.missingFields[field] || 0) + 1;
+    }
+  });
+
+  NON_NEGATIVE_FIELDS.forEach((field) => {
+    if (doc[field] < 0) errors.push(`${field} is negative`);
+  });
+
+  IMPOSSIBLE_PAIRS.forEach(([part, whole]) => {
+    if (doc[part] > doc[whole]) errors.push(`${part} > ${whole}`);
+  });
+
+  // Unknown codes are still imported but are dropped by the $lookup/$unwind in the player search
+  if (knownTeams) {
+    [doc.team, doc.home, doc.away].forEach((code) => {
+      if (code && !knownTeams.has(code)) {
+        report.unknownTeams[code] = (report.unknownTeams[code] || 0) + 1;
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a team_names row has both an abbreviation and a name.
+ * @param {object} data - The raw data object from csv-parser.
+ * @returns {string[]} The validation errors; empty if the row can be imported.
+ */
+function validateTeamNameRow(data) {
+  const errors = [];
+  if (!data.abbreviation || !data.abbreviation.trim()) errors.push('missing abbreviation');
+  if (!data.name || !data.name.trim()) errors.push('missing name');
+  return errors;
+}
+
+/**
+ * Checks a franchises row has its IDs and name, a valid date range and, if given, a valid conference.
+ * @param {object} data - The raw data object from csv-parser.
+ * @param {object} doc - The transformed document.
+ * @returns {string[]} The validation errors; empty if the row can be imported.
+ */
+function validateFranchiseRow(data, doc) {
+  const errors = [];
+  ['franchiseId', 'abbreviation', 'name'].forEach((field) => {
+    if (!data[field] || !data[field].trim()) errors.push(`missing ${field}`);
+  });
+  if (Number.isNaN(doc.from.getTime())) errors.push(`invalid from date "${data.from}"`);
+  if (doc.to && Number.isNaN(doc.to.getTime())) errors.push(`invalid to date "${data.to}"`);
+  if (doc.to && doc.to <= doc.from) errors.push('to date is not after from date');
+  if (data.conference && !CONFERENCES.includes(data.conference)) errors.push(`invalid conference "${data.conference}"`);
+  return errors;
+}
+
+/**
+ * Reads a CSV file row by row, waiting for each row to be handled before reading on.
+ * Errors from the file (e.g. it is missing or unreadable) or the parser reject the promise
+ * instead of being emitted as unhandled stream errors.
+ * @param {string} file - The CSV file.
+ * @param {function} onRow - Called with each parsed row; may return a promise.
+ * @returns {Promise<void>} Resolves once every row has been handled.
+ */
+function readCsvRows(file, onRow) {
+  return pipeline(fs.createReadStream(file), csv(), async (rows) => {
+    for await (const row of rows) await onRow(row);
+  });
+}
+
+/**
+ * Reads the team abbreviations from team_names.csv, used to flag unknown team codes.
+ * @returns {Promise<Set<string>|null>} The known abbreviations, or null if the file is missing.
+ */
+async function loadKnownTeams() {
+  const teamNamesPath = IMPORT_TYPES.team_names.filePath;
+  if (!fs.existsSync(teamNamesPath)) return null;
+
+  const knownTeams = new Set();
+  await readCsvRows(teamNamesPath, (row) => knownTeams.add(row.abbreviation));
+  return knownTeams;
+}
+
+/**
+ * Prints the data-quality report collected while validating the file.
+ * @param {object} report - The report built up during the import.
+ */
+function printReport(report) {
+  console.log('\n--- Data Quality Report ---');
+  console.log(`Rows read: ${report.rows}, valid: ${report.rows - report.quarantined}, quarantined: ${report.quarantined}`);
+
+  const seasons = Object.keys(report.rowsBySeason).sort();
+  if (seasons.length > 0) {
+    console.log('\nValid rows per season:');
+    seasons.forEach((season) => console.log(`  ${season}: ${report.rowsBySeason[season]}`));
+  }
+
+  const sections = [
+    ['Unknown team codes (not in team_names.csv)', report.unknownTeams],
+    ['Rows with missing numeric fields', report.missingFields],
+    ['Quarantined rows by problem', report.errors],
+  ];
+  sections.forEach(([title, counts]) => {
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    console.log(`\n${title}:${entries.length === 0 ? ' none' : ''}`);
+    entries.forEach(([key, count]) => console.log(`  ${key}: ${count}`));
+  });
+
+  if (report.quarantineFile) {
+    console.log(`\nQuarantined rows written to ${report.quarantineFile}`);
+  }
+  console.log('---------------------------\n');
+}
+
+/**
+ * Writes one batch of documents. A full import inserts them; an incremental import
+ * upserts each one on the natural key, so re-running the same file changes nothing.
+ * @param {import('mongodb').Collection} collection - The target collection.
+ * @param {object[]} docs - The transformed documents.
+ * @param {object} counts - Running inserted/updated/unchanged counters, updated in place.
+ */
+async function writeBatch(collection, docs, counts) {
+  if (!incremental) {
+    const result = await collection.insertMany(docs, { ordered: false });
+    counts.inserted += result.insertedCount;
+    return;
+  }
+
+  const operations = docs.map((doc) => ({
+    updateOne: {
+      filter: Object.fromEntries(naturalKey.map((field) => [field, doc[field]])),
+      update: { $set: doc },
+      upsert: true,
+    },
+  }));
+  const result = await collection.bulkWrite(operations, { ordered: false });
+  counts.inserted += result.upsertedCount;
+  counts.updated += result.modifiedCount;
+  counts.unchanged += result.matchedCount - result.modifiedCount;
+}
+
+/**
+ * Bumps the data-version marker, so a running server drops its cached responses.
+ * @param {import('mongodb').Db} db - The database.
+ */
+async function bumpDataVersion(db) {
+  await db.collection('meta').updateOne(
+    buildDataVersionFilter(),
+    { $set: { version: Date.now(), updatedAt: new Date(), lastImport: collectionName } },
+    { upsert: true }
+  );
+  console.log('Data version updated; running servers will refresh their caches.');
+}
+
 async function importData() {
+  const report = {
+    rows: 0,
+    skipped: 0,
+    quarantined: 0,
+    quarantineFile: null,
+    rowsBySeason: {},
+    unknownTeams: {},
+    missingFields: {},
+    errors: {},
+  };
+  let quarantine = null;
+  let db = null;
+  let collection = null;
+
   try {
-    await client.connect();
-    console.log('Connected to MongoDB Atlas');
-
-    const db = client.db(dbName);
-    const collection = db.collection(collectionName);
-
-    await collection.deleteMany({});
-    console.log(`Cleared existing data from "${collectionName}" collection.`);
-
-    await new Promise((resolve, reject) => {
-      const results = [];
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => {
-          if (importType === 'players') {
-            results.push(transformPlayerData(data));
-          } else if (importType === 'teams') {
-            results.push(transformTeamData(data));
-          } else {
-            results.push(data); // Fallback for simple CSVs like team_names
-          }
-        })
-        .on('error', (err) => reject(err))
-        .on('end', async () => {
-          try {
-            if (results.length > 0) {
-              await collection.insertMany(results);
-              console.log(`Successfully imported ${results.length} documents into "${collectionName}".`);
-            } else {
-              console.log('No data found in CSV file to import.');
-            }
-            resolve();
-          } catch (error) {
-            reject(error);
-          }
+    // Read before anything is cleared, so a bad team_names.csv can't leave an emptied collection behind
+    const context = { knownTeams: hasTeamCodes ? await loadKnownTeams() : null, report };
+
+    if (dryRun) {
+      console.log(`Dry run: validating "${filePath}" without writing to the database.`);
+    } else if (fixture) {
+      // The writer has insertMany(), so batches are written the same way as to a collection
+      collection = createFixtureWriter(fixtureDir, collectionName);
+      console.log(`Writing "${collectionName}" to the fixture file ${collection.file}.`);
+    } else {
+      await client.connect();
+      console.log('Connected to MongoDB Atlas');
+
+      db = client.db(dbName);
+      collection = db.collection(collectionName);
+
+      if (incremental) {
+        // Upserts need the natural key indexed, and the unique constraint keeps reruns from duplicating rows
+        await collection.createIndex(Object.fromEntries(naturalKey.map((field) => [field, 1])), { unique: true });
+        console.log(`Incremental import into "${collectionName}" (upserting on ${naturalKey.join(' + ')}).`);
+      } else {
+        await collection.deleteMany({});
+        console.log(`Cleared existing data from "${collectionName}" collection.`);
+      }
+    }
+
+    const counts = { inserted: 0, updated: 0, unchanged: 0 };
+    let batch = [];
+    // Every CSV row read, including the ones --seasons skips, so quarantined rows point at their line
+    let csvRows = 0;
+
+    // Each row is handled before the next is read, so at most one batch is held in memory
+    await readCsvRows(filePath, async (data) => {
+      csvRows++;
+      // Only game rows have a season; the team and franchise lists are always kept whole
+      if (seasons && data.season !== undefined && !seasons.includes(data.season)) {
+        report.skipped++;
+        return;
+      }
+      report.rows++;
+
+      let doc;
+      let errors;
+      try {
+        doc = transform(data);
+        errors = validate(data, doc, context);
+      } catch (err) {
+        errors = [`could not transform row: ${err.message}`];
+      }
+
+      if (errors.length > 0) {
+        report.quarantined++;
+        errors.forEach((error) => {
+          // Group by problem rather than by the offending value (e.g. every invalid date together)
+          const key = error.replace(/ ".*"$/, '');
+          report.errors[key] = (report.errors[key] || 0) + 1;
         });
+        if (!quarantine) {
+          fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+          report.quarantineFile = path.join(QUARANTINE_DIR, `${importType}-${Date.now()}.jsonl`);
+          quarantine = fs.createWriteStream(report.quarantineFile);
+        }
+        quarantine.write(`${JSON.stringify({ line: csvRows + 1, errors, row: data })}\n`);
+        return;
+      }
+
+      if (doc.season) {
+        report.rowsBySeason[doc.season] = (report.rowsBySeason[doc.season] || 0) + 1;
+      }
+
+      if (dryRun) return;
+
+      batch.push(doc);
+      if (batch.length >= BATCH_SIZE) {
+        await writeBatch(collection, batch, counts);
+        batch = [];
+        if (report.rows % 100000 < BATCH_SIZE) console.log(`Processed ${report.rows} rows...`);
+      }
     });
+    if (batch.length > 0) {
+      await writeBatch(collection, batch, counts);
+    }
+
+    printReport(report);
+
+    if (report.skipped > 0) {
+      console.log(`Skipped ${report.skipped} rows outside seasons ${seasons.join(', ')}.`);
+    }
+
+    if (report.rows === 0) {
+      console.log('No data found in CSV file to import.');
+    } else if (dryRun) {
+      console.log(`Dry run complete: ${report.rows - report.quarantined} of ${report.rows} rows would be imported into "${collectionName}".`);
+    } else if (incremental) {
+      console.log(`Processed ${report.rows} rows for "${collectionName}": ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged.`);
+    } else if (fixture) {
+      console.log(`Successfully wrote ${counts.inserted} documents to ${collection.file}.`);
+    } else {
+      console.log(`Successfully imported ${counts.inserted} documents into "${collectionName}".`);
+    }
 
   } catch (err) {
+    if (err.code === 11000 && incremental) {
+      console.error(`"${collectionName}" already contains duplicate ${naturalKey.join(' + ')} rows; run a full import once before importing incrementally.`);
+    }
     console.error('An error occurred during the import process:', err);
+    // So cron and CI see a failed (possibly half-done) import as a failure
+    process.exitCode = 1;
   } finally {
-    await client.close();
-    console.log('MongoDB connection closed.');
+    // Finished before exiting, since the report already names the file
+    if (quarantine) await new Promise((resolve) => quarantine.end(resolve));
+    if (fixture && collection) {
+      try {
+        await collection.close();
+      } catch (err) {
+        console.error('Could not finish the fixture file:', err);
+        process.exitCode = 1;
+      }
+    }
+    // Also after a failed import, which may already have cleared or changed the collection
+    if (db) {
+      try {
+        await bumpDataVersion(db);
+      } catch (err) {
+        console.error('Could not update the data version:', err);
+      }
+    }
+    if (client) {
+      await client.close();
+      console.log('MongoDB connection closed.');
+    }
   }
 }
 
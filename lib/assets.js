@@ -0,0 +1,192 @@
+/**
+ * Player headshots and team logos for the asset routes in server.js.
+ *
+ * Images are served from a local asset directory (`headshots/<playerId>.png`, `logos/<teamId>.svg`).
+ * When downloads are turned on, a missing image is fetched from the NBA CDN once and kept in the
+ * directory, so the directory doubles as a cache. Without a file or a connection, the routes answer with a
+ * generated placeholder SVG instead, so the app still shows every image offline.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Where the images are read from and downloaded to, unless ASSET_DIR says otherwise
+const DEFAULT_ASSET_DIR = path.join(__dirname, '..', 'assets');
+
+// How long to wait for the CDN, and how long to stop asking it after it couldn't be reached
+const DOWNLOAD_TIMEOUT_MS = 3000;
+const OFFLINE_RETRY_MS = 10 * 60 * 1000;
+
+// Each kind of asset: its folder, the file types it is looked up as (first match wins) and its CDN address
+const ASSET_KINDS = {
+    headshot: {
+        folder: 'headshots',
+        extensions: ['png', 'jpg', 'webp', 'svg'],
+        cdnUrl: id => `https://cdn.nba.com/headshots/nba/latest/1040x760/${id}.png`
+    },
+    logo: {
+        folder: 'logos',
+        extensions: ['svg', 'png'],
+        cdnUrl: id => `https://cdn.nba.com/logos/nba/${id}/primary/L/logo.svg`
+    }
+};
+
+// Current abbreviation and [primary, secondary] colors by teamId, for logo placeholders.
+// teamIds don't change when a franchise relocates or is renamed.
+const TEAM_PALETTE = {
+    1610612737: ['ATL', '#E03A3E', '#C1D32F'],
+    1610612738: ['BOS', '#007A33', '#BA9653'],
+    1610612751: ['BKN', '#000000', '#FFFFFF'],
+    1610612766: ['CHA', '#1D1160', '#00788C'],
+    1610612741: ['CHI', '#CE1141', '#000000'],
+    1610612739: ['CLE', '#860038', '#FDBB30'],
+    1610612742: ['DAL', '#00538C', '#B8C4CA'],
+    1610612743: ['DEN', '#0E2240', '#FEC524'],
+    1610612765: ['DET', '#C8102E', '#1D42BA'],
+    1610612744: ['GSW', '#1D428A', '#FFC72C'],
+    1610612745: ['HOU', '#CE1141', '#000000'],
+    1610612754: ['IND', '#002D62', '#FDBB30'],
+    1610612746: ['LAC', '#C8102E', '#1D428A'],
+    1610612747: ['LAL', '#552583', '#FDB927'],
+    1610612763: ['MEM', '#5D76A9', '#12173F'],
+    1610612748: ['MIA', '#98002E', '#F9A01B'],
+    1610612749: ['MIL', '#00471B', '#EEE1C6'],
+    1610612750: ['MIN', '#0C2340', '#78BE20'],
+    1610612740: ['NOP', '#0C2340', '#C8102E'],
+    1610612752: ['NYK', '#006BB6', '#F58426'],
+    1610612760: ['OKC', '#007AC1', '#EF3B24'],
+    1610612753: ['ORL', '#0077C0', '#C4CED4'],
+    1610612755: ['PHI', '#006BB6', '#ED174C'],
+    1610612756: ['PHX', '#1D1160', '#E56020'],
+    1610612757: ['POR', '#E03A3E', '#000000'],
+    1610612758: ['SAC', '#5A2D81', '#63727A'],
+    1610612759: ['SAS', '#C4CED4', '#000000'],
+    1610612761: ['TOR', '#CE1141', '#000000'],
+    1610612762: ['UTA', '#002B5C', '#F9A01B'],
+    1610612764: ['WAS', '#002B5C', '#E31837']
+};
+
+/**
+ * Escapes text for an SVG text node.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Initials for a headshot placeholder, e.g. "LeBron James" -> "LJ", "Nenê" -> "N".
+ * @param {string|null} name - The player's name, if known.
+ * @returns {string} One or two letters, or "?" without a name.
+ */
+function initials(name) {
+    const words = (name || '').split(/[\s-]+/).filter(word => /^\p{L}/u.test(word));
+    if (words.length === 0) return '?';
+    const letters = words.length === 1 ? [words[0]] : [words[0], words[words.length - 1]];
+    return letters.map(word => word[0].toUpperCase()).join('');
+}
+
+/**
+ * A headshot placeholder with the player's initials, in the 1040x760 proportions of the CDN headshots.
+ * The background color is picked from the playerId, so a player always gets the same one.
+ * @param {string|null} name - The player's name, if known.
+ * @param {number} playerId - The player's ID.
+ * @returns {string} The SVG document.
+ */
+function headshotPlaceholder(name, playerId) {
+    const hue = (playerId * 47) % 360;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 260 190" role="img">`
+        + `<title>${escapeXml(name || `Player ${playerId}`)}</title>`
+        + `<rect width="260" height="190" fill="hsl(${hue}, 40%, 30%)"/>`
+        + `<text x="130" y="95" dy="0.35em" text-anchor="middle" font-family="Montserrat, Arial, sans-serif"`
+        + ` font-size="72" font-weight="700" fill="#f8fafc">${escapeXml(initials(name))}</text>`
+        + '</svg>';
+}
+
+/**
+ * A logo placeholder: the team's abbreviation in its colors, or a gray "?" for an unknown teamId.
+ * @param {number} teamId - The team's ID.
+ * @returns {string} The SVG document.
+ */
+function logoPlaceholder(teamId) {
+    const [abbreviation, primary, secondary] = TEAM_PALETTE[teamId] || ['?', '#475569', '#94a3b8'];
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" role="img">`
+        + `<title>${abbreviation}</title>`
+        + `<circle cx="50" cy="50" r="46" fill="${primary}" stroke="${secondary}" stroke-width="6"/>`
+        + `<text x="50" y="50" dy="0.35em" text-anchor="middle" font-family="Montserrat, Arial, sans-serif"`
+        + ` font-size="28" font-weight="700" fill="#ffffff">${abbreviation}</text>`
+        + '</svg>';
+}
+
+/**
+ * Creates the asset lookup.
+ * @param {object} options - The asset settings.
+ * @param {string} options.dir - The asset directory.
+ * @param {boolean} options.download - Whether to download missing images from the NBA CDN.
+ * @returns {{find: function}} find(kind, id) resolves to the image's file path, or null when
+ *     there is none and it couldn't be downloaded (the route then sends a placeholder).
+ */
+function createAssetStore({ dir, download }) {
+    // Images the CDN doesn't have, so they aren't asked for again
+    const unavailable = new Set();
+    const pending = new Map();
+    let offlineUntil = 0;
+
+    /**
+     * Downloads one image into the asset directory.
+     * @param {string} kind - A key of ASSET_KINDS.
+     * @param {number} id - The playerId or teamId.
+     * @returns {Promise<string|null>} The saved file, or null.
+     */
+    const downloadAsset = async (kind, id) => {
+        const { folder, cdnUrl } = ASSET_KINDS[kind];
+        const url = cdnUrl(id);
+
+        let response;
+        try {
+            response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        } catch (err) {
+            // No connection (e.g. an offline demo box): use placeholders for a while without waiting on every image
+            offlineUntil = Date.now() + OFFLINE_RETRY_MS;
+            return null;
+        }
+        if (!response.ok || !/^image\//.test(response.headers.get('content-type') || '')) {
+            unavailable.add(`${kind}/${id}`);
+            return null;
+        }
+
+        const file = path.join(dir, folder, `${id}${path.extname(new URL(url).pathname)}`);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // Written under a temporary name first, so a half-written file is never served
+        const partial = `${file}.${process.pid}.part`;
+        await fs.promises.writeFile(partial, Buffer.from(await response.arrayBuffer()));
+        await fs.promises.rename(partial, file);
+        return file;
+    };
+
+    return {
+        find: async (kind, id) => {
+            const { folder, extensions } = ASSET_KINDS[kind];
+            for (const extension of extensions) {
+                const file = path.join(dir, folder, `${id}.${extension}`);
+                if (fs.existsSync(file)) return file;
+            }
+
+            const key = `${kind}/${id}`;
+            if (!download || unavailable.has(key) || Date.now() < offlineUntil) return null;
+            // Requests for the same image while it downloads share the download
+            if (!pending.has(key)) {
+                pending.set(key, downloadAsset(kind, id).finally(() => pending.delete(key)));
+            }
+            return pending.get(key);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_ASSET_DIR,
+    ASSET_KINDS,
+    headshotPlaceholder,
+    logoPlaceholder,
+    createAssetStore,
+};
@@ -0,0 +1,112 @@
+/**
+ * Response cache for the API routes in server.js.
+ *
+ * The data only changes when import-data.js runs, and every import bumps a data-version
+ * marker in the database. Responses are cached per route and normalized query until the
+ * version changes, and their ETags include the version, so a browser revalidating an
+ * unchanged result gets a 304 before any query runs.
+ */
+const crypto = require('crypto');
+
+// How long a data version is trusted before the marker is read again
+const DATA_VERSION_TTL_MS = 5000;
+
+/**
+ * Normalizes a request's query string so that the same search always has the same key:
+ * parameters are sorted by name (repeated ones keep their order) and `format` is dropped,
+ * since every export format is built from the same JSON body.
+ * @param {import('express').Request} req - The request.
+ * @returns {string} The cache key, e.g. "/api/leaders?minGames=50&stat=AST".
+ */
+function cacheKey(req) {
+    const params = new URLSearchParams(req.originalUrl.split('?')[1]);
+    params.delete('format');
+    params.sort();
+    const query = params.toString();
+    return query ? `${req.path}?${query}` : req.path;
+}
+
+/**
+ * Creates the response cache.
+ * @param {object} options - The cache settings.
+ * @param {number} options.maxEntries - How many responses to keep; the least recently used go first.
+ *     0 turns caching off but keeps the ETags.
+ * @param {function} options.loadVersion - Resolves to the current data version (or null before the first import).
+ * @returns {function} The route middleware. It must come after exportable(), so that cached bodies
+ *     are still converted to the requested format. Error responses are never cached.
+ */
+function createResponseCache({ maxEntries, loadVersion }) {
+    const entries = new Map();
+    let version = null;
+    let checkedAt = 0;
+    let pendingCheck = null;
+
+    /**
+     * Reads the data version at most every DATA_VERSION_TTL_MS, emptying the cache when it changed.
+     * Concurrent requests share one read.
+     * @returns {Promise<*>} The current data version.
+     */
+    const currentVersion = () => {
+        if (Date.now() - checkedAt < DATA_VERSION_TTL_MS) return Promise.resolve(version);
+        if (!pendingCheck) {
+            pendingCheck = loadVersion()
+                .then(latest => {
+                    if (latest !== version) {
+                        entries.clear();
+                        version = latest;
+                    }
+                    checkedAt = Date.now();
+                    return version;
+                })
+                .finally(() => { pendingCheck = null; });
+        }
+        return pendingCheck;
+    };
+
+    return async (req, res, next) => {
+        let dataVersion;
+        try {
+            dataVersion = await currentVersion();
+        } catch (err) {
+            // Without a version (e.g. the database is down) the route answers uncached
+            return next();
+        }
+
+        const key = cacheKey(req);
+        const variant = crypto.createHash('sha1').update(`${key}|${req.query.format || ''}`).digest('hex').slice(0, 16);
+        res.set('ETag', `"${dataVersion === null ? 0 : dataVersion}-${variant}"`);
+        // Let browsers keep responses, but revalidate them on every use
+        res.set('Cache-Control', 'no-cache');
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        if (entries.has(key)) {
+            const body = entries.get(key);
+            // Move the entry to the back, so the least recently used one is first in line to go
+            entries.delete(key);
+            entries.set(key, body);
+            res.set('X-Cache', 'HIT');
+            return res.json(body);
+        }
+
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400) {
+                res.removeHeader('ETag');
+            } else if (maxEntries > 0 && dataVersion === version) {
+                // Skipped if an import landed while the request ran, since the body may predate it
+                entries.set(key, body);
+                if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+            }
+            res.set('X-Cache', 'MISS');
+            return sendJson(body);
+        };
+        next();
+    };
+}
+
+module.exports = {
+    createResponseCache,
+};
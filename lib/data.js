@@ -0,0 +1,403 @@
+/**
+ * Data access for the API routes in server.js.
+ *
+ * Routes call these functions instead of the database driver. Each one runs a filter or
+ * pipeline from lib/pipelines.js and returns plain documents, against either backend:
+ * - `mongo`: the MongoDB database at MONGO_URI.
+ * - `fixture`: the JSON fixture store in lib/fixture-db.js, for running offline.
+ */
+const { MongoClient } = require('mongodb');
+const { openFixtureDb } = require('./fixture-db');
+const {
+    buildPlayerSearchPipeline,
+    buildPlayerByIdPipeline,
+    buildPlayersCareerPipeline,
+    buildPlayersSeasonsPipeline,
+    buildPlayerSuggestPipeline,
+    buildResolvePlayerPipeline,
+    buildPlayerSplitsPipeline,
+    buildPlayerTradedSeasonsPipeline,
+    buildPlayerGameLogPipeline,
+    buildPlayerTrendPipeline,
+    buildPlayerTeammatesPipeline,
+    buildPlayerMatchupPipeline,
+    buildPlayerGamesStatsPipeline,
+    buildLeadersPipeline,
+    buildTeamNameFilter,
+    buildFranchiseFilter,
+    buildTeamIdFilter,
+    buildTeamTopPlayersPipeline,
+    buildTeamEfficiencyPipeline,
+    buildMatchupGameLogPipeline,
+    buildMatchupTopPlayersPipeline,
+    buildStandingsPipeline,
+    buildFinderPipeline,
+    buildGameIdFilter,
+    buildErasAtDateFilter,
+    buildDataVersionFilter,
+} = require('./pipelines');
+
+// Where the data comes from, selected with DATA_BACKEND
+const DATA_BACKENDS = ['mongo', 'fixture'];
+
+const DB_NAME = 'nba_db';
+
+/**
+ * Joins back-to-back franchise rows with the same abbreviation and name into one era. franchises.csv
+ * splits an era where the team's conference or division changed (e.g. the 2004 realignment), but
+ * team routes list eras by name, so those splits don't show.
+ * @param {Array<object>} rows - Franchise rows sorted by `from`.
+ * @returns {Array<{abbreviation: string, name: string, from: Date, to: Date|null}>} The eras.
+ */
+function mergeEras(rows) {
+    const eras = [];
+    rows.forEach(({ abbreviation, name, from, to }) => {
+        const last = eras[eras.length - 1];
+        if (last && last.abbreviation === abbreviation && last.name === name && last.to && last.to.getTime() === from.getTime()) {
+            last.to = to;
+        } else {
+            eras.push({ abbreviation, name, from, to });
+        }
+    });
+    return eras;
+}
+
+/**
+ * Creates the data-access functions for a database.
+ * @param {object} db - A MongoDB `Db`, or the fixture store from openFixtureDb.
+ * @returns {object} The data-access functions.
+ */
+function createDataAccess(db) {
+    const players = () => db.collection('players');
+    const teams = () => db.collection('teams');
+    const franchises = () => db.collection('franchises');
+
+    /**
+     * Resolves a player name (partial, case-insensitive) or numeric playerId to a single player,
+     * preferring the candidate with the most games.
+     * @param {string} input - The name or ID entered by the user.
+     * @returns {Promise<{playerId: number, player: string}|null>} The resolved player, or null.
+     */
+    async function resolvePlayer(input) {
+        const [doc] = await players().aggregate(buildResolvePlayerPipeline(input)).toArray();
+        return doc ? { playerId: doc._id, player: doc.player } : null;
+    }
+
+    /**
+     * Resolves a team name or abbreviation, current or historical, to its franchise.
+     * When several franchises match (e.g. "Hornets"), the one whose current name matches wins,
+     * then the one with the most recent matching era.
+     * @param {string} input - The name or abbreviation entered by the user.
+     * @param {string} scope - 'franchise' for the whole history, or 'era' for only the matching eras.
+     * @returns {Promise<object|null>} The franchise (`franchiseId`, current `name` and `abbreviation`,
+     *     `teamId`, all `eras`), the `selectedEras` the stats cover and the `selection` to query with; or null.
+     */
+    async function resolveTeam(input, scope) {
+        const matches = await franchises().find(buildTeamNameFilter(input)).toArray();
+        if (matches.length === 0) return null;
+
+        const rank = era => [era.to === null ? 1 : 0, era.from.getTime()];
+        const best = matches.reduce((a, b) => {
+            const [aCurrent, aFrom] = rank(a);
+            const [bCurrent, bFrom] = rank(b);
+            return bCurrent > aCurrent || (bCurrent === aCurrent && bFrom > aFrom) ? b : a;
+        });
+
+        const eras = mergeEras(await franchises()
+            .find(buildFranchiseFilter(best.franchiseId), { projection: { _id: 0, franchiseId: 0 } })
+            .sort({ from: 1 })
+            .toArray());
+        const current = eras[eras.length - 1];
+
+        let selectedEras;
+        let selection;
+        if (scope === 'era') {
+            selectedEras = mergeEras(matches.filter(era => era.franchiseId === best.franchiseId)
+                .sort((a, b) => a.from - b.from));
+            selection = selectedEras;
+        } else {
+            // Each abbreviation belongs to one franchise, so its games don't need the date ranges
+            selectedEras = eras;
+            selection = [...new Set(eras.map(era => era.abbreviation))].map(abbreviation => ({ abbreviation }));
+        }
+
+        // teamId stays the same through relocations and renames
+        const teamIdDoc = await teams().findOne(buildTeamIdFilter(current.abbreviation), { projection: { teamId: 1 } });
+
+        return {
+            franchiseId: best.franchiseId,
+            name: current.name,
+            abbreviation: current.abbreviation,
+            teamId: teamIdDoc ? teamIdDoc.teamId : null,
+            eras,
+            selectedEras,
+            selection
+        };
+    }
+
+    return {
+        resolvePlayer,
+        resolveTeam,
+
+        /**
+         * The data version bumped by every import (see lib/cache.js).
+         * @returns {Promise<*>} The version, or null before the first import.
+         */
+        dataVersion: async () => {
+            const marker = await db.collection('meta').findOne(buildDataVersionFilter());
+            return marker ? marker.version : null;
+        },
+
+        /**
+         * Every season with team games.
+         * @returns {Promise<Array<string>>} The seasons, unsorted.
+         */
+        seasons: () => teams().distinct('season'),
+
+        /**
+         * Career stats for every player whose name contains the search term.
+         * @param {string} name - The partial name.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} Career stats of every matching player, most games first.
+         */
+        searchPlayers: (name, gameFilter) => players().aggregate(buildPlayerSearchPipeline(name, gameFilter)).toArray(),
+
+        /**
+         * Candidates for the as-you-type player suggestions.
+         * @param {string} query - The partial name.
+         * @returns {Promise<Array<object>>} Suggestion candidates, most games first.
+         */
+        suggestPlayers: (query) => players().aggregate(buildPlayerSuggestPipeline(query)).toArray(),
+
+        /**
+         * Career stats for one player.
+         * @param {number} playerId - The player's ID.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<object|null>} The player's career stats, or null without games.
+         */
+        playerCareer: async (playerId, gameFilter) => {
+            const [career] = await players().aggregate(buildPlayerByIdPipeline(playerId, gameFilter)).toArray();
+            return career || null;
+        },
+
+        /**
+         * Career stats for several players at once.
+         * @param {Array<number>} playerIds - The players' IDs.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} Career stats for each player with games.
+         */
+        playersCareers: (playerIds, gameFilter) => players().aggregate(buildPlayersCareerPipeline(playerIds, gameFilter)).toArray(),
+
+        /**
+         * Per-season stats for several players at once.
+         * @param {Array<number>} playerIds - The players' IDs.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} One row per player and season.
+         */
+        playersSeasons: (playerIds, gameFilter) => players().aggregate(buildPlayersSeasonsPipeline(playerIds, gameFilter)).toArray(),
+
+        /**
+         * A player's season splits, one row per season and team.
+         * @param {number} playerId - The player's ID.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} One row per season and team, in order.
+         */
+        playerSplits: (playerId, gameFilter) => players().aggregate(buildPlayerSplitsPipeline(playerId, gameFilter)).toArray(),
+
+        /**
+         * Whole-season totals for the seasons a player was traded.
+         * @param {number} playerId - The player's ID.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} The whole-season "TOT" rows of seasons played for several teams.
+         */
+        playerTradedSeasons: (playerId, gameFilter) => players().aggregate(buildPlayerTradedSeasonsPipeline(playerId, gameFilter)).toArray(),
+
+        /**
+         * One page of a player's game log.
+         * @param {number} playerId - The player's ID.
+         * @param {object} gameFilter - The season/type and date conditions.
+         * @param {object} options - The sort and page options of buildPlayerGameLogPipeline.
+         * @returns {Promise<{games: Array<object>, total: Array<object>}>} One page of games and the total.
+         */
+        playerGameLog: async (playerId, gameFilter, options) => {
+            const [result] = await players().aggregate(buildPlayerGameLogPipeline(playerId, gameFilter, options)).toArray();
+            return result;
+        },
+
+        /**
+         * A player's rolling averages, game by game.
+         * @param {number} playerId - The player's ID.
+         * @param {string[]} stats - The stats to follow.
+         * @param {number} window - The number of games in each average.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} One row per game, oldest first.
+         */
+        playerTrend: (playerId, stats, window, gameFilter) => players().aggregate(buildPlayerTrendPipeline(playerId, stats, window, gameFilter)).toArray(),
+
+        /**
+         * One page of a player's teammates.
+         * @param {number} playerId - The player's ID.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @param {object} options - The ranking and page (see buildPlayerTeammatesPipeline).
+         * @returns {Promise<{teammates: Array<object>, total: Array<object>}>} One page of teammates and the total.
+         */
+        playerTeammates: async (playerId, gameFilter, options) => {
+            const [result] = await players().aggregate(buildPlayerTeammatesPipeline(playerId, gameFilter, options)).toArray();
+            return result;
+        },
+
+        /**
+         * The games two players both played in.
+         * @param {Array<number>} playerIds - The two players' IDs.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} The games both played in, with each player's line, newest first.
+         */
+        playerSharedGames: (playerIds, gameFilter) => players().aggregate(buildPlayerMatchupPipeline(playerIds, gameFilter)).toArray(),
+
+        /**
+         * Players' stats over a list of games.
+         * @param {Array<number>} playerIds - The players' IDs.
+         * @param {Array<number>} gameIds - The games to include.
+         * @returns {Promise<Array<object>>} Each player's stats over those games.
+         */
+        playerGamesStats: (playerIds, gameIds) => players().aggregate(buildPlayerGamesStatsPipeline(playerIds, gameIds)).toArray(),
+
+        /**
+         * One page of the league-wide ranking.
+         * @param {object} options - The ranking options (see buildLeadersPipeline).
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<{leaders: Array<object>, total: Array<object>}>} One page of leaders and the total.
+         */
+        leaders: async (options, gameFilter) => {
+            const [result] = await players().aggregate(buildLeadersPipeline(options, gameFilter), { allowDiskUse: true }).toArray();
+            return result;
+        },
+
+        /**
+         * One page of a team's player ranking.
+         * @param {Array<object>} selection - The team's selection from resolveTeam.
+         * @param {Array<object>} eras - The franchise's eras.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @param {object} options - The ranking options (see buildTeamTopPlayersPipeline).
+         * @returns {Promise<{players: Array<object>, total: Array<object>}>} One page of players and the total.
+         */
+        teamTopPlayers: async (selection, eras, gameFilter, options) => {
+            const [result] = await players().aggregate(
+                buildTeamTopPlayersPipeline(selection, eras, gameFilter, options),
+                { allowDiskUse: true }
+            ).toArray();
+            return result;
+        },
+
+        /**
+         * A team's efficiency ratings per season and overall.
+         * @param {Array<object>} selection - The team's selection from resolveTeam.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<{seasons: Array<object>, overall: Array<object>}>} The season rows, and the overall row (none without games).
+         */
+        teamEfficiency: async (selection, gameFilter) => {
+            const [result] = await teams().aggregate(buildTeamEfficiencyPipeline(selection, gameFilter)).toArray();
+            return result;
+        },
+
+        /**
+         * The head-to-head game log of two teams.
+         * @param {Array<object>} selection1 - Team 1's selection from resolveTeam.
+         * @param {Array<object>} selection2 - Team 2's selection from resolveTeam.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} The games between the two teams, newest first.
+         */
+        matchupGames: (selection1, selection2, gameFilter) =>
+            teams().aggregate(buildMatchupGameLogPipeline(selection1, selection2, gameFilter)).toArray(),
+
+        /**
+         * A team's top players against one opponent.
+         * @param {Array<object>} selection - The team's selection from resolveTeam.
+         * @param {Array<object>} opponentSelection - The opponent's selection.
+         * @param {Array<object>} eras - The team's eras.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @returns {Promise<Array<object>>} The team's top players in the matchup.
+         */
+        matchupTopPlayers: (selection, opponentSelection, eras, gameFilter) =>
+            players().aggregate(buildMatchupTopPlayersPipeline(selection, opponentSelection, eras, gameFilter)).toArray(),
+
+        /**
+         * One season's standings rows.
+         * @param {string} season - The season.
+         * @returns {Promise<Array<object>>} One row per team, best record first.
+         */
+        standings: (season) => teams().aggregate(buildStandingsPipeline(season)).toArray(),
+
+        /**
+         * One page of the game finder results.
+         * @param {string} source - 'players' or 'teams'.
+         * @param {object} criteria - The resolved finder criteria (see buildFinderPipeline).
+         * @param {object} statFilter - The stat conditions from buildStatConditions.
+         * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+         * @param {object} options - The sort and paging options.
+         * @returns {Promise<{games: Array<object>, total: Array<object>}>} One page of games and the total.
+         */
+        findGames: async (source, criteria, statFilter, gameFilter, options) => {
+            const [result] = await db.collection(source)
+                .aggregate(buildFinderPipeline(criteria, statFilter, gameFilter, options), { allowDiskUse: true })
+                .toArray();
+            return result;
+        },
+
+        /**
+         * One game's box score documents.
+         * @param {number} gameId - The game's ID.
+         * @returns {Promise<{teamDocs: Array<object>, playerDocs: Array<object>}>} The game's team lines,
+         *     and its player lines by minutes.
+         */
+        gameLines: async (gameId) => {
+            const filter = buildGameIdFilter(gameId);
+            const [teamDocs, playerDocs] = await Promise.all([
+                teams().find(filter).toArray(),
+                players().find(filter).sort({ MIN: -1, PTS: -1 }).toArray()
+            ]);
+            return { teamDocs, playerDocs };
+        },
+
+        /**
+         * The franchise eras of some abbreviations on a date.
+         * @param {Array<string>} abbreviations - The team abbreviations.
+         * @param {Date} date - The date.
+         * @returns {Promise<Array<object>>} The franchise eras those abbreviations had on that date.
+         */
+        erasAtDate: (abbreviations, date) => franchises().find(buildErasAtDateFilter(abbreviations, date)).toArray(),
+    };
+}
+
+/**
+ * Connects to the configured backend.
+ * @param {object} config - The backend settings.
+ * @param {string} config.backend - One of DATA_BACKENDS.
+ * @param {string} [config.mongoUri] - The connection string, for the mongo backend.
+ * @param {string} [config.fixtureDir] - The fixture directory, for the fixture backend.
+ * @returns {Promise<{data: object, description: string, close: function}>} The data-access functions,
+ *     a description for the startup log, and a function that closes the connection.
+ */
+async function openDataAccess({ backend, mongoUri, fixtureDir }) {
+    if (backend === 'fixture') {
+        return {
+            data: createDataAccess(openFixtureDb(fixtureDir)),
+            description: `fixtures in ${fixtureDir}`,
+            close: async () => {}
+        };
+    }
+
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return {
+        data: createDataAccess(client.db(DB_NAME)),
+        description: 'MongoDB Atlas',
+        close: () => client.close()
+    };
+}
+
+module.exports = {
+    DATA_BACKENDS,
+    createDataAccess,
+    openDataAccess,
+};
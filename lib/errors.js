@@ -0,0 +1,42 @@
+/**
+ * The error responses of the API routes in server.js.
+ *
+ * Every error is sent as `{ code, message }`: `code` is one of ERROR_CODES and is meant
+ * for programs (it never changes wording), `message` is a sentence to show to the user.
+ */
+
+// Each error code and the HTTP status it is sent with
+const ERROR_CODES = {
+    // A path or query parameter is missing, malformed or out of range
+    INVALID_PARAMETER: 400,
+    // No player matches the name or ID
+    PLAYER_NOT_FOUND: 404,
+    // No franchise matches the name or abbreviation
+    TEAM_NOT_FOUND: 404,
+    // No game has the ID
+    GAME_NOT_FOUND: 404,
+    // The player, team or season exists, but no games match the filters
+    NO_GAMES: 404,
+    // No API route at this path
+    NOT_FOUND: 404,
+    // The query failed; the details are only logged on the server
+    INTERNAL_ERROR: 500,
+    // The server isn't connected to MongoDB (yet)
+    DATABASE_UNAVAILABLE: 503
+};
+
+/**
+ * Sends an error response.
+ * @param {import('express').Response} res - The response.
+ * @param {string} code - One of ERROR_CODES.
+ * @param {string} message - The message to show to the user.
+ * @returns {import('express').Response} The response, so routes can `return sendError(...)`.
+ */
+function sendError(res, code, message) {
+    return res.status(ERROR_CODES[code]).json({ code, message });
+}
+
+module.exports = {
+    ERROR_CODES,
+    sendError,
+};
@@ -0,0 +1,106 @@
+/**
+ * File downloads for the API routes in server.js.
+ *
+ * Any route wrapped with exportable() also answers `?format=json` (the same body, as a file)
+ * and `?format=csv` (the route's main table, one row per player, game, team, etc.).
+ * CSV columns come from a list each route passes, not from the rows' keys: the fixture
+ * backend returns fields in alphabetical order, MongoDB in pipeline order.
+ */
+const { sendError } = require('./errors');
+
+// The values accepted by the `format` query parameter
+const EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Flattens one row for CSV: nested objects become dotted columns (e.g. `team1.PTS`),
+ * lists of values are joined with "; " and dates are written as ISO strings.
+ * Lists of objects have no single-cell form and are left out.
+ * @param {object} row - The row to flatten.
+ * @param {string} [prefix] - The column prefix for a nested object.
+ * @param {object} [flat] - The flattened row being built.
+ * @returns {object} The flattened row.
+ */
+function flattenRow(row, prefix = '', flat = {}) {
+    for (const [key, value] of Object.entries(row)) {
+        const column = `${prefix}${key}`;
+        if (value instanceof Date) {
+            flat[column] = value.toISOString();
+        } else if (Array.isArray(value)) {
+            if (value.every(item => item === null || typeof item !== 'object')) flat[column] = value.join('; ');
+        } else if (value !== null && typeof value === 'object') {
+            flattenRow(value, `${column}.`, flat);
+        } else {
+            flat[column] = value;
+        }
+    }
+    return flat;
+}
+
+/**
+ * Quotes a CSV cell when needed. Text starting with a formula character is prefixed with
+ * an apostrophe so spreadsheets don't evaluate it.
+ * @param {*} value - The cell value.
+ * @returns {string} The CSV cell.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts rows to CSV with the given columns, in that order. Fields not listed are left out,
+ * and listed fields a row doesn't have are empty cells.
+ * @param {Array<object>} rows - The rows to write.
+ * @param {string[]} columns - The flattened column names, e.g. ['gameId', 'team1.PTS'].
+ * @returns {string} The CSV text, with a header line.
+ */
+function toCsv(rows, columns) {
+    const flatRows = rows.map(row => flattenRow(row));
+    const lines = [columns, ...flatRows.map(row => columns.map(column => row[column]))];
+    return `${lines.map(line => line.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Turns text into a safe file name part, e.g. "LeBron James" -> "lebron-james".
+ * @param {string} text - The text.
+ * @returns {string} The slug.
+ */
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+}
+
+/**
+ * Route middleware adding `?format=json|csv` downloads. Without `format` the route answers as usual,
+ * and error responses are never turned into files.
+ * @param {function} fileName - Called with the request; returns the file name without extension.
+ * @param {function} toRows - Called with the route's JSON body; returns the rows of the CSV.
+ * @param {string[]|function} columns - The CSV columns in order, or a function of the JSON body
+ *     returning them (for routes whose fields depend on the request, e.g. the trend's stats).
+ * @returns {function} The Express middleware.
+ */
+function exportable(fileName, toRows, columns) {
+    return (req, res, next) => {
+        const { format } = req.query;
+        if (format === undefined) return next();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return sendError(res, 'INVALID_PARAMETER', `"format" must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+        }
+
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400) return sendJson(body);
+            res.attachment(`${slugify(fileName(req))}.${format}`);
+            if (format === 'json') return sendJson(body);
+            return res.type('text/csv; charset=utf-8').send(toCsv(toRows(body), typeof columns === 'function' ? columns(body) : columns));
+        };
+        next();
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    toCsv,
+    exportable,
+};
@@ -0,0 +1,123 @@
+/**
+ * JSON fixture store: an offline stand-in for the MongoDB database.
+ *
+ * Each collection is a file of Extended JSON documents, one per line (`<collection>.jsonl`),
+ * written by `npm run import -- <type> --fixture`. The files are read once when the store opens
+ * and queried in memory with mingo, which runs the same filters and aggregation pipelines as
+ * MongoDB, so lib/data.js doesn't need to know which backend it is talking to.
+ */
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { BSON } = require('mongodb');
+const mingo = require('mingo');
+
+// Where the fixture files are read from and written to, unless FIXTURE_DIR says otherwise
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * The path of a collection's fixture file.
+ * @param {string} dir - The fixture directory.
+ * @param {string} collectionName - The collection.
+ * @returns {string} The file path.
+ */
+function fixturePath(dir, collectionName) {
+    return path.join(dir, `${collectionName}.jsonl`);
+}
+
+/**
+ * Wraps query results in the part of the driver's cursor API that lib/data.js uses.
+ * @param {Array<object>} docs - The matching documents.
+ * @returns {object} A cursor with sort() and toArray().
+ */
+function createCursor(docs) {
+    let results = docs;
+    const cursor = {
+        sort(spec) {
+            results = new mingo.Aggregator([{ $sort: spec }]).run(results);
+            return cursor;
+        },
+        // Copies, so callers can change the documents they get without changing the store
+        toArray: async () => structuredClone(results),
+    };
+    return cursor;
+}
+
+/**
+ * Opens the fixture store. Collections without a file are empty, like missing collections in MongoDB.
+ * Driver options such as allowDiskUse don't apply in memory and are ignored.
+ * @param {string} dir - The fixture directory.
+ * @returns {{collection: function}} A database with the collection methods lib/data.js uses:
+ *     aggregate(), find(), findOne() and distinct().
+ */
+function openFixtureDb(dir) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Fixture directory "${dir}" does not exist. Create it with "npm run import -- <type> --fixture".`);
+    }
+
+    const collections = new Map();
+    const documents = (name) => {
+        if (!collections.has(name)) {
+            const file = fixturePath(dir, name);
+            const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean) : [];
+            collections.set(name, lines.map(line => BSON.EJSON.parse(line)));
+        }
+        return collections.get(name);
+    };
+
+    const collection = (name) => ({
+        aggregate: (pipeline) => createCursor(
+            new mingo.Aggregator(pipeline, { collectionResolver: documents }).run(documents(name))
+        ),
+        find: (filter = {}, { projection } = {}) => createCursor(mingo.find(documents(name), filter, projection).all()),
+        findOne: async (filter = {}, options) => {
+            const [doc] = await collection(name).find(filter, options).toArray();
+            return doc || null;
+        },
+        distinct: async (field) => [...new Set(documents(name).map(doc => doc[field]))],
+    });
+
+    return { collection };
+}
+
+/**
+ * Opens a collection's fixture file for writing, replacing any previous one. It has the
+ * insertMany() of a driver collection, so import-data.js writes batches to it the same way.
+ * @param {string} dir - The fixture directory; created if missing.
+ * @param {string} collectionName - The collection.
+ * @returns {{file: string, insertMany: function, close: function}} The writer.
+ */
+function createFixtureWriter(dir, collectionName) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = fixturePath(dir, collectionName);
+    const stream = fs.createWriteStream(file);
+
+    // A failed write (e.g. a full disk) is kept and rejects every later call, instead of crashing the import
+    let failure = null;
+    stream.on('error', (err) => {
+        if (!failure) failure = err;
+    });
+
+    return {
+        file,
+        insertMany: async (docs) => {
+            if (failure) throw failure;
+            if (!stream.write(docs.map(doc => `${BSON.EJSON.stringify(doc)}\n`).join(''))) {
+                await once(stream, 'drain');
+            }
+            return { insertedCount: docs.length };
+        },
+        close: async () => {
+            if (failure) throw failure;
+            const finished = once(stream, 'finish');
+            stream.end();
+            await finished;
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_FIXTURE_DIR,
+    openFixtureDb,
+    createFixtureWriter,
+};
@@ -0,0 +1,1194 @@
+/**
+ * Query and aggregation pipeline builders for the API routes in server.js.
+ *
+ * Every query a route sends to MongoDB is built here, so that setup-indexes.js can
+ * run explain() on each of them and flag collection scans. When adding a route,
+ * add its builder here and a matching sample in setup-indexes.js.
+ */
+const { escapeRegex } = require('./validation');
+
+// Game types stored in the `type` field of both the players and teams collections
+const GAME_TYPES = ['regular', 'playoff'];
+
+// How team routes read a team: its whole franchise history, or only the eras matching the search
+const TEAM_SCOPES = ['franchise', 'era'];
+
+// Box score stats averaged per game for players (career totals, season splits and head-to-heads)
+const AVERAGED_STATS = ['PTS', 'REB', 'AST', 'STL', 'BLK', 'TOV', 'MIN'];
+
+// The matching $group accumulators, e.g. avgPTS: { $avg: { $ifNull: ['$PTS', 0] } }
+const playerAverageFields = Object.fromEntries(
+    AVERAGED_STATS.map(stat => [`avg${stat}`, { $avg: { $ifNull: [`$${stat}`, 0] } }])
+);
+
+// Counting stats summed alongside the averages; percentages and advanced metrics are derived from these
+const TOTAL_STATS = ['PTS', 'REB', 'AST', 'STL', 'BLK', 'TOV', 'MIN', 'FGM', 'FGA', '3PM', '3PA', 'FTM', 'FTA'];
+
+// The matching $group accumulators, e.g. totalFGM: { $sum: { $ifNull: ['$FGM', 0] } }
+const playerTotalFields = Object.fromEntries(
+    TOTAL_STATS.map(stat => [`total${stat}`, { $sum: { $ifNull: [`$${stat}`, 0] } }])
+);
+
+// Stats normalized to 36 minutes of playing time
+const PER36_STATS = ['PTS', 'REB', 'AST', 'STL', 'BLK'];
+
+/**
+ * Divides two aggregation expressions, returning null (not 0) when the denominator is 0
+ * so that players with no attempts don't show a 0% they never shot.
+ * @param {*} numerator - The numerator expression.
+ * @param {*} denominator - The denominator expression.
+ * @param {number} [scale=1] - Multiplier for the result (100 for percentages, 36 for per-36).
+ * @returns {object} The $cond expression.
+ */
+function ratio(numerator, denominator, scale = 1) {
+    return { $cond: [{ $gt: [denominator, 0] }, { $multiply: [{ $divide: [numerator, denominator] }, scale] }, null] };
+}
+
+/**
+ * Shooting percentages and advanced metrics computed from the summed totals of a group,
+ * applied with $set after any $group that includes playerTotalFields. Percentages are 0-100.
+ */
+const derivedStatFields = {
+    FG_PCT: ratio('$totalFGM', '$totalFGA', 100),
+    '3P_PCT': ratio('$total3PM', '$total3PA', 100),
+    FT_PCT: ratio('$totalFTM', '$totalFTA', 100),
+    // True shooting: points per two shooting possessions, counting 0.44 possessions per free throw
+    TS_PCT: ratio('$totalPTS', { $multiply: [2, { $add: ['$totalFGA', { $multiply: [0.44, '$totalFTA'] }] }] }, 100),
+    // Effective FG%: a made three is worth 1.5 made twos
+    EFG_PCT: ratio({ $add: ['$totalFGM', { $multiply: [0.5, '$total3PM'] }] }, '$totalFGA', 100),
+    AST_TOV: ratio('$totalAST', '$totalTOV'),
+    ...Object.fromEntries(PER36_STATS.map(stat => [`${stat}_PER36`, ratio(`$total${stat}`, '$totalMIN', 36)])),
+};
+
+// Every stat field a player stats group produces, for $project stages and clients
+const PLAYER_STAT_FIELDS = [
+    ...Object.keys(playerAverageFields),
+    ...Object.keys(playerTotalFields),
+    ...Object.keys(derivedStatFields),
+];
+
+// Stats players can be ranked on league-wide: every summed counting stat plus every derived metric
+const LEADER_STATS = [...TOTAL_STATS, ...Object.keys(derivedStatFields)];
+
+// Numeric box score fields stored on every players and teams game document, for the game finder
+const GAME_STAT_FIELDS = [
+    'MIN', 'PTS', 'FGM', 'FGA', 'FG_PCT', '3PM', '3PA', '3P_PCT', 'FTM', 'FTA', 'FT_PCT',
+    'OREB', 'DREB', 'REB', 'AST', 'STL', 'BLK', 'TOV', 'PF', 'PLUS_MINUS'
+];
+
+// Stats a player's rolling trend can follow: per-game averages of the box score counts, and shooting
+// percentages computed from the makes and attempts summed over the window (not averaged per game)
+const TREND_STATS = [
+    ...GAME_STAT_FIELDS.filter(field => !field.endsWith('_PCT')),
+    'FG_PCT', '3P_PCT', 'FT_PCT', 'TS_PCT', 'EFG_PCT'
+];
+
+// The counting stats summed over a trend window to derive its shooting percentages
+const TREND_SHOOTING_TOTALS = ['PTS', 'FGM', 'FGA', '3PM', '3PA', 'FTM', 'FTA'];
+
+// Comparison operators accepted in game finder stat conditions (e.g. "PTS:gte:40")
+const FINDER_OPERATORS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte', eq: '$eq' };
+
+/**
+ * Builds the $match conditions shared by every stats route from the season range
+ * and game type query parameters (e.g. ?seasonFrom=2015&seasonTo=2020&type=playoff).
+ * Seasons are stored as four-digit strings, so the bounds are compared as strings.
+ * @param {object} query - The Express request query object.
+ * @returns {{filter: object, error: string|null}} The conditions to spread into a $match, or a validation error.
+ */
+function buildGameFilter(query) {
+    const { seasonFrom, seasonTo, type } = query;
+    const filter = {};
+
+    for (const [key, value] of Object.entries({ seasonFrom, seasonTo })) {
+        if (value !== undefined && value !== '' && (typeof value !== 'string' || !/^\d{4}$/.test(value))) {
+            return { filter, error: `"${key}" must be a four-digit season (e.g. 2015).` };
+        }
+    }
+
+    if (seasonFrom && seasonTo && seasonFrom > seasonTo) {
+        return { filter, error: '"seasonFrom" cannot be after "seasonTo".' };
+    }
+
+    if (seasonFrom || seasonTo) {
+        filter.season = {};
+        if (seasonFrom) filter.season.$gte = seasonFrom;
+        if (seasonTo) filter.season.$lte = seasonTo;
+    }
+
+    if (type && type !== 'all') {
+        if (!GAME_TYPES.includes(type)) {
+            return { filter, error: `"type" must be one of: all, ${GAME_TYPES.join(', ')}.` };
+        }
+        filter.type = type;
+    }
+
+    return { filter, error: null };
+}
+
+/**
+ * Builds $match conditions from game finder stat conditions written as "STAT:operator:value"
+ * (e.g. ?stat=PTS:gte:40&stat=AST:gte:10). Several conditions on one stat are combined.
+ * @param {string|string[]|undefined} input - The `stat` query parameter(s).
+ * @returns {{filter: object, error: string|null}} The conditions to spread into a $match, or a validation error.
+ */
+function buildStatConditions(input) {
+    const filter = {};
+    const values = input === undefined ? [] : [].concat(input);
+
+    for (const value of values) {
+        const [stat, operator, number] = typeof value === 'string' ? value.split(':') : [];
+        if (!GAME_STAT_FIELDS.includes(stat)) {
+            return { filter, error: `"stat" conditions must start with one of: ${GAME_STAT_FIELDS.join(', ')}.` };
+        }
+        if (!FINDER_OPERATORS[operator]) {
+            return { filter, error: `"stat" operators must be one of: ${Object.keys(FINDER_OPERATORS).join(', ')}.` };
+        }
+        if (number === undefined || number === '' || Number.isNaN(Number(number))) {
+            return { filter, error: `"${value}" must end with a number (e.g. PTS:gte:40).` };
+        }
+        filter[stat] = { ...filter[stat], [FINDER_OPERATORS[operator]]: Number(number) };
+    }
+
+    return { filter, error: null };
+}
+
+/**
+ * Builds $match conditions on the game date from the `from` and `to` query parameters
+ * (e.g. ?from=2016-01-01&to=2016-03-31). Both ends are included.
+ * @param {object} query - The Express request query object.
+ * @returns {{filter: object, error: string|null}} The conditions to spread into a $match, or a validation error.
+ */
+function buildDateFilter(query) {
+    const filter = {};
+    const bounds = {};
+
+    for (const key of ['from', 'to']) {
+        const value = query[key];
+        if (value === undefined || value === '') continue;
+        const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value) : null;
+        // Rejects impossible days like 2016-02-30 too, which Date would roll over into March
+        if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+            return { filter, error: `"${key}" must be a date written as YYYY-MM-DD (e.g. 2016-01-31).` };
+        }
+        bounds[key] = date;
+    }
+
+    if (bounds.from && bounds.to && bounds.from > bounds.to) {
+        return { filter, error: '"from" cannot be after "to".' };
+    }
+
+    if (bounds.from || bounds.to) {
+        filter.date = {};
+        if (bounds.from) filter.date.$gte = bounds.from;
+        // Dates are stored at midnight UTC, so the whole last day is before the next midnight
+        if (bounds.to) filter.date.$lt = new Date(bounds.to.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    return { filter, error: null };
+}
+
+/**
+ * Builds the career averages pipeline for the players matching `match`, one result per playerId.
+ * Results keep the player's name in `_id` (as the frontend expects) and are sorted by games played.
+ * @param {object} match - The $match conditions selecting the player(s) and their games.
+ * @returns {Array<object>} The aggregation pipeline.
+ */
+function buildCareerPipeline(match) {
+    return [
+        { $match: match },
+        {
+            $lookup: {
+                from: 'team_names',
+                localField: 'team',
+                foreignField: 'abbreviation',
+                as: 'teamDetails'
+            }
+        },
+        { $unwind: '$teamDetails' },
+        {
+            $group: {
+                // Group by ID so that two players sharing a name are never merged
+                _id: '$playerId',
+                player: { $first: '$player' },
+                teams: { $addToSet: '$teamDetails.name' },
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields
+            }
+        },
+        { $set: derivedStatFields },
+        { $set: { playerId: '$_id', _id: '$player' } },
+        { $unset: 'player' },
+        // Sort by games played to return the most prominent player first (e.g. "James" -> LeBron)
+        { $sort: { gamesPlayed: -1, _id: 1 } }
+    ];
+}
+
+/**
+ * Career averages for every player whose name matches a partial, case-insensitive search.
+ * $regex is not collation-aware, so no collation is passed with name searches; that also
+ * lets the planner use the plain { player: 1 } index.
+ * @param {string} name - The search term; it is matched literally.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerSearchPipeline(name, gameFilter) {
+    return buildCareerPipeline({ player: { $regex: escapeRegex(name), $options: 'i' }, ...gameFilter });
+}
+
+/**
+ * Career averages for one exact playerId.
+ * @param {number} playerId - The player's ID.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerByIdPipeline(playerId, gameFilter) {
+    return buildCareerPipeline({ playerId, ...gameFilter });
+}
+
+/**
+ * Career averages for several exact playerIds, one result each, for side-by-side comparisons.
+ * @param {number[]} playerIds - The players' IDs.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayersCareerPipeline(playerIds, gameFilter) {
+    return buildCareerPipeline({ playerId: { $in: playerIds }, ...gameFilter });
+}
+
+/**
+ * Season-by-season stats for several players, one row per player and season
+ * (all teams combined, like the "TOT" rows of the splits).
+ * @param {number[]} playerIds - The players' IDs.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayersSeasonsPipeline(playerIds, gameFilter) {
+    return [
+        { $match: { playerId: { $in: playerIds }, ...gameFilter } },
+        {
+            $group: {
+                _id: { playerId: '$playerId', season: '$season' },
+                teams: { $addToSet: '$team' },
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields
+            }
+        },
+        { $set: derivedStatFields },
+        { $sort: { '_id.season': 1 } },
+        {
+            $project: {
+                _id: 0,
+                playerId: '$_id.playerId',
+                season: '$_id.season',
+                teams: 1,
+                gamesPlayed: 1,
+                ...Object.fromEntries(PLAYER_STAT_FIELDS.map(field => [field, 1]))
+            }
+        }
+    ];
+}
+
+/**
+ * Ranked candidates for the as-you-type player suggestions (ranking by name is done in the route).
+ * @param {string} query - The partial name.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerSuggestPipeline(query) {
+    return [
+        { $match: { player: { $regex: escapeRegex(query), $options: 'i' } } },
+        {
+            $group: {
+                _id: '$playerId',
+                player: { $first: '$player' },
+                gamesPlayed: { $sum: 1 },
+                firstSeason: { $min: '$season' },
+                lastSeason: { $max: '$season' },
+                teams: { $addToSet: '$team' }
+            }
+        },
+        { $sort: { gamesPlayed: -1 } }
+    ];
+}
+
+/**
+ * Resolves a player name (partial, case-insensitive) or numeric playerId to the
+ * single candidate with the most games.
+ * @param {string} input - The name or ID entered by the user.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildResolvePlayerPipeline(input) {
+    const match = /^\d+$/.test(input)
+        ? { playerId: parseInt(input, 10) }
+        : { player: { $regex: escapeRegex(input), $options: 'i' } };
+
+    return [
+        { $match: match },
+        { $group: { _id: '$playerId', player: { $first: '$player' }, gamesPlayed: { $sum: 1 } } },
+        { $sort: { gamesPlayed: -1 } },
+        { $limit: 1 }
+    ];
+}
+
+/**
+ * Season-by-season splits for one player, one row per season and team.
+ * @param {number} playerId - The player's ID.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerSplitsPipeline(playerId, gameFilter) {
+    return [
+        { $match: { playerId, ...gameFilter } },
+        {
+            $group: {
+                _id: { season: '$season', team: '$team' },
+                firstGame: { $min: '$date' },
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields
+            }
+        },
+        { $set: derivedStatFields },
+        // Order teams within a season by when the player joined them
+        { $sort: { '_id.season': 1, firstGame: 1 } },
+        {
+            $project: {
+                _id: 0,
+                season: '$_id.season',
+                team: '$_id.team',
+                gamesPlayed: 1,
+                ...Object.fromEntries(PLAYER_STAT_FIELDS.map(field => [field, 1]))
+            }
+        }
+    ];
+}
+
+/**
+ * Whole-season totals for the seasons a player split between several teams (the "TOT" rows).
+ * @param {number} playerId - The player's ID.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerTradedSeasonsPipeline(playerId, gameFilter) {
+    return [
+        { $match: { playerId, ...gameFilter } },
+        {
+            $group: {
+                _id: '$season',
+                teams: { $addToSet: '$team' },
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields
+            }
+        },
+        { $match: { 'teams.1': { $exists: true } } },
+        { $set: derivedStatFields },
+        {
+            $project: {
+                _id: 0,
+                season: '$_id',
+                team: 'TOT',
+                gamesPlayed: 1,
+                ...Object.fromEntries(PLAYER_STAT_FIELDS.map(field => [field, 1]))
+            }
+        }
+    ];
+}
+
+/**
+ * One page of a player's games, each with its opponent and venue from the player's side.
+ * @param {number} playerId - The player's ID.
+ * @param {object} gameFilter - The season/type (and date) conditions from buildGameFilter and buildDateFilter.
+ * @param {object} page - The sort and page.
+ * @param {string} page.sort - 'date' or one of GAME_STAT_FIELDS.
+ * @param {number} page.order - 1 for ascending, -1 for descending.
+ * @param {number} page.skip - The number of games to skip.
+ * @param {number} page.limit - The page size.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerGameLogPipeline(playerId, gameFilter, { sort, order, skip, limit }) {
+    return [
+        { $match: { playerId, ...gameFilter } },
+        { $sort: sort === 'date' ? { date: order, gameId: order } : { [sort]: order, date: -1 } },
+        {
+            $facet: {
+                games: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            gameId: 1,
+                            date: 1,
+                            season: 1,
+                            type: 1,
+                            team: 1,
+                            opponent: { $cond: [{ $eq: ['$home', '$team'] }, '$away', '$home'] },
+                            venue: { $cond: [{ $eq: ['$home', '$team'] }, 'home', 'away'] },
+                            win: 1,
+                            ...Object.fromEntries(GAME_STAT_FIELDS.map(field => [field, 1]))
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ];
+}
+
+/**
+ * Rolling averages over a player's last `window` games, for every game of the career in date order.
+ * Early games average over the games played so far; `games` says how many that is.
+ * @param {number} playerId - The player's ID.
+ * @param {string[]} stats - The stats to follow, from TREND_STATS.
+ * @param {number} window - The number of games averaged, ending with each game.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerTrendPipeline(playerId, stats, window, gameFilter) {
+    const lastGames = { documents: [1 - window, 0] };
+    const averaged = stats.filter(stat => !derivedStatFields[stat]);
+    const derived = stats.filter(stat => derivedStatFields[stat]);
+
+    return [
+        { $match: { playerId, ...gameFilter } },
+        {
+            $setWindowFields: {
+                sortBy: { date: 1, gameId: 1 },
+                output: {
+                    gameNumber: { $documentNumber: {} },
+                    games: { $sum: 1, window: lastGames },
+                    ...Object.fromEntries(averaged.map(stat => [stat, { $avg: { $ifNull: [`$${stat}`, 0] }, window: lastGames }])),
+                    // Percentages come from the window's summed makes and attempts, like the career ones
+                    ...(derived.length > 0 ? Object.fromEntries(TREND_SHOOTING_TOTALS.map(stat =>
+                        [`total${stat}`, { $sum: { $ifNull: [`$${stat}`, 0] }, window: lastGames }])) : {})
+                }
+            }
+        },
+        ...(derived.length > 0 ? [{ $set: Object.fromEntries(derived.map(stat => [stat, derivedStatFields[stat]])) }] : []),
+        { $sort: { gameNumber: 1 } },
+        {
+            $project: {
+                _id: 0,
+                gameNumber: 1,
+                gameId: 1,
+                date: 1,
+                season: 1,
+                type: 1,
+                team: 1,
+                games: 1,
+                ...Object.fromEntries(stats.map(stat => [stat, 1]))
+            }
+        }
+    ];
+}
+
+// The values accepted by the teammates route's `sort`, each ranked highest first
+const TEAMMATE_SORTS = ['gamesPlayed', 'wins', 'winPct', 'combinedPTS'];
+
+/**
+ * One page of a player's teammates: for each, the games they played together, their record
+ * in those games and both players' scoring. A teammate is anyone with a line for the same team in the same game.
+ * @param {number} playerId - The player's ID.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @param {object} options - The ranking and page.
+ * @param {string} options.sort - One of TEAMMATE_SORTS.
+ * @param {number} options.minGames - The minimum games together to be listed.
+ * @param {number} options.skip - The number of teammates to skip.
+ * @param {number} options.limit - The page size.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerTeammatesPipeline(playerId, gameFilter, { sort, minGames, skip, limit }) {
+    return [
+        { $match: { playerId, ...gameFilter } },
+        {
+            $lookup: {
+                from: 'players',
+                localField: 'gameId',
+                foreignField: 'gameId',
+                as: 'lines'
+            }
+        },
+        { $unwind: '$lines' },
+        { $match: { $expr: { $and: [{ $eq: ['$lines.team', '$team'] }, { $ne: ['$lines.playerId', '$playerId'] }] } } },
+        {
+            $group: {
+                _id: '$lines.playerId',
+                player: { $last: '$lines.player' },
+                gamesPlayed: { $sum: 1 },
+                wins: countIf('$win'),
+                teams: { $addToSet: '$team' },
+                firstGame: { $min: '$date' },
+                lastGame: { $max: '$date' },
+                avgPTS: { $avg: { $ifNull: ['$PTS', 0] } },
+                teammateAvgPTS: { $avg: { $ifNull: ['$lines.PTS', 0] } }
+            }
+        },
+        { $match: { gamesPlayed: { $gte: minGames } } },
+        {
+            $set: {
+                losses: { $subtract: ['$gamesPlayed', '$wins'] },
+                winPct: { $divide: ['$wins', '$gamesPlayed'] },
+                combinedPTS: { $add: ['$avgPTS', '$teammateAvgPTS'] }
+            }
+        },
+        { $sort: { [sort]: -1, gamesPlayed: -1, _id: 1 } },
+        {
+            $facet: {
+                teammates: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            playerId: '$_id',
+                            player: 1,
+                            teams: { $sortArray: { input: '$teams', sortBy: 1 } },
+                            gamesPlayed: 1,
+                            wins: 1,
+                            losses: 1,
+                            winPct: 1,
+                            avgPTS: 1,
+                            teammateAvgPTS: 1,
+                            combinedPTS: 1,
+                            firstGame: 1,
+                            lastGame: 1
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ];
+}
+
+/**
+ * Both players' games grouped by gameId, keeping games with a line for each of them.
+ * The routes still have to split the games they played against each other from the ones as teammates.
+ * @param {number[]} playerIds - The two player IDs.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerMatchupPipeline(playerIds, gameFilter) {
+    return [
+        { $match: { playerId: { $in: playerIds }, ...gameFilter } },
+        {
+            $group: {
+                _id: '$gameId',
+                date: { $first: '$date' },
+                season: { $first: '$season' },
+                type: { $first: '$type' },
+                home: { $first: '$home' },
+                away: { $first: '$away' },
+                lines: { $push: { playerId: '$playerId', team: '$team', win: '$win', PTS: '$PTS', REB: '$REB', AST: '$AST' } }
+            }
+        },
+        { $match: { 'lines.1': { $exists: true } } },
+        { $sort: { date: -1 } }
+    ];
+}
+
+/**
+ * Per-player stats over a given set of games (e.g. the head-to-head games found by
+ * buildPlayerMatchupPipeline), with the same averages and derived metrics as the career route.
+ * @param {number[]} playerIds - The players to include.
+ * @param {number[]} gameIds - The games to include.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildPlayerGamesStatsPipeline(playerIds, gameIds) {
+    return [
+        { $match: { playerId: { $in: playerIds }, gameId: { $in: gameIds } } },
+        {
+            $group: {
+                _id: '$playerId',
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields
+            }
+        },
+        { $set: derivedStatFields }
+    ];
+}
+
+/**
+ * The stages that rank players grouped by playerId (with playerAverageFields and playerTotalFields)
+ * on one stat, paginated with $facet so the total count comes back in the same round trip.
+ * Counting stats are ranked per game or as totals; derived metrics (percentages, per-36, AST/TO)
+ * are always computed from totals. Players whose value is null (e.g. no 3PA for 3P_PCT) are left out.
+ * @param {object} options - The ranking options.
+ * @param {string} options.stat - One of LEADER_STATS.
+ * @param {string} options.mode - 'perGame' or 'totals'.
+ * @param {number} options.minGames - The minimum games played to qualify.
+ * @param {number} options.order - 1 for ascending, -1 for descending.
+ * @param {number} options.skip - The number of ranked players to skip.
+ * @param {number} options.limit - The page size.
+ * @param {string} field - The $facet field for the page of players.
+ * @returns {Array<object>} The pipeline stages.
+ */
+function rankingStages({ stat, mode, minGames, order, skip, limit }, field) {
+    let value;
+    if (derivedStatFields[stat]) {
+        value = `$${stat}`;
+    } else if (mode === 'totals') {
+        value = `$total${stat}`;
+    } else {
+        value = { $divide: [`$total${stat}`, '$gamesPlayed'] };
+    }
+
+    return [
+        { $match: { gamesPlayed: { $gte: minGames } } },
+        { $set: derivedStatFields },
+        // A separate stage, since fields set in one $set can't reference each other
+        { $set: { value } },
+        { $match: { value: { $ne: null } } },
+        { $sort: { value: order, gamesPlayed: -1, _id: 1 } },
+        {
+            $facet: {
+                // `value` is only the sort key; clients read the ranked stat from the player's own fields
+                [field]: [{ $skip: skip }, { $limit: limit }, { $unset: 'value' }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ];
+}
+
+/**
+ * League-wide player rankings on one stat.
+ * @param {object} options - The ranking options, as for rankingStages.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildLeadersPipeline(options, gameFilter) {
+    return [
+        { $match: gameFilter },
+        {
+            $group: {
+                _id: '$playerId',
+                player: { $last: '$player' },
+                teams: { $addToSet: '$team' },
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields
+            }
+        },
+        ...rankingStages(options, 'leaders')
+    ];
+}
+
+/**
+ * Finds franchise eras by name (partial) or exact abbreviation, case-insensitive.
+ * Historical names match too, e.g. "SuperSonics" or "SEA" finds Seattle's era of the Thunder franchise.
+ * @param {string} input - The team name or abbreviation (e.g. "Lakers", "LAL").
+ * @returns {object} The filter for the franchises collection.
+ */
+function buildTeamNameFilter(input) {
+    return {
+        $or: [
+            { name: { $regex: escapeRegex(input), $options: 'i' } },
+            { abbreviation: { $regex: `^${escapeRegex(input)}$`, $options: 'i' } }
+        ]
+    };
+}
+
+/**
+ * Every era of one franchise.
+ * @param {string} franchiseId - The franchise's ID (its current abbreviation).
+ * @returns {object} The filter for the franchises collection.
+ */
+function buildFranchiseFilter(franchiseId) {
+    return { franchiseId };
+}
+
+/**
+ * Matches game documents played by a team selection: a list of abbreviations, each optionally
+ * limited to an era's date range (`from` inclusive, `to` exclusive, null for open-ended).
+ * @param {Array<{abbreviation: string, from?: Date, to?: Date}>} selection - The abbreviations and eras.
+ * @param {string} field - The field holding the abbreviation ('team', 'home' or 'away').
+ * @returns {object} A $match condition.
+ */
+function matchTeamSelection(selection, field) {
+    const conditions = selection.map(({ abbreviation, from, to }) => {
+        const condition = { [field]: abbreviation };
+        if (from || to) {
+            condition.date = {};
+            if (from) condition.date.$gte = from;
+            if (to) condition.date.$lt = to;
+        }
+        return condition;
+    });
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * Matches games against a team selection, i.e. where it was the home or away side.
+ * @param {Array<object>} selection - The opponent's abbreviations and eras, as for matchTeamSelection.
+ * @returns {object} A $match condition.
+ */
+function matchOpponentSelection(selection) {
+    return { $or: [matchTeamSelection(selection, 'home'), matchTeamSelection(selection, 'away')] };
+}
+
+/**
+ * An expression naming the era a game belongs to (e.g. "Seattle SuperSonics"), from its team and date.
+ * Games outside every listed era fall back to the abbreviation.
+ * @param {Array<{abbreviation: string, name: string, from: Date, to: Date|null}>} eras - The franchise's eras.
+ * @returns {object} A $switch expression.
+ */
+function eraNameExpression(eras) {
+    return {
+        $switch: {
+            branches: eras.map(({ abbreviation, name, from, to }) => ({
+                case: {
+                    $and: [
+                        { $eq: ['$team', abbreviation] },
+                        { $gte: ['$date', from] },
+                        ...(to ? [{ $lt: ['$date', to] }] : [])
+                    ]
+                },
+                then: name
+            })),
+            default: '$team'
+        }
+    };
+}
+
+/**
+ * Finds any game document for a team abbreviation, used to look up its teamId for logos.
+ * @param {string} abbreviation - The team abbreviation.
+ * @returns {object} The filter for the teams collection.
+ */
+function buildTeamIdFilter(abbreviation) {
+    return { team: abbreviation };
+}
+
+/**
+ * A team's top players on one stat, with the eras (names) they played for it under.
+ * @param {Array<object>} selection - The team's abbreviations and eras, as for matchTeamSelection.
+ * @param {Array<object>} eras - Every era of the franchise, to name each game's era.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @param {object} options - The ranking options, as for rankingStages.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildTeamTopPlayersPipeline(selection, eras, gameFilter, options) {
+    return [
+        // Match all games played for the selected abbreviations/eras within the requested seasons/type
+        { $match: { ...matchTeamSelection(selection, 'team'), ...gameFilter } },
+        // Group by player to calculate their stats for that team
+        {
+            $group: {
+                _id: '$playerId',
+                player: { $last: '$player' },
+                gamesPlayed: { $sum: 1 },
+                ...playerAverageFields,
+                ...playerTotalFields,
+                eras: { $addToSet: eraNameExpression(eras) }
+            }
+        },
+        ...rankingStages(options, 'players')
+    ];
+}
+
+// The team and opponent counting stats summed for efficiency ratings
+const EFFICIENCY_STATS = ['PTS', 'FGM', 'FGA', '3PM', 'FTM', 'FTA', 'OREB', 'DREB', 'TOV'];
+
+/**
+ * Estimated possessions from one side's box score: FGA + 0.44 * FTA - OREB + TOV.
+ * @param {string} prefix - The path to the side's stats, e.g. '$' or '$opponent.'.
+ * @returns {object} The aggregation expression.
+ */
+function possessionsExpression(prefix) {
+    const stat = name => ({ $ifNull: [`${prefix}${name}`, 0] });
+    return {
+        $add: [stat('FGA'), { $multiply: [0.44, stat('FTA')] }, { $multiply: [-1, stat('OREB')] }, stat('TOV')]
+    };
+}
+
+/**
+ * Dean Oliver's four factors for one side, from the totals summed by buildTeamEfficiencyPipeline.
+ * Percentages are 0-100; FT_RATE is free throws made per field goal attempt.
+ * @param {string} own - The prefix of the side's totals ('total' or 'oppTotal').
+ * @param {string} other - The prefix of the other side's totals, for offensive rebounding.
+ * @returns {object} The EFG_PCT, TOV_PCT, OREB_PCT and FT_RATE expressions.
+ */
+function fourFactorFields(own, other) {
+    return {
+        EFG_PCT: ratio({ $add: [`$${own}FGM`, { $multiply: [0.5, `$${own}3PM`] }] }, `$${own}FGA`, 100),
+        TOV_PCT: ratio(`$${own}TOV`, { $add: [`$${own}FGA`, { $multiply: [0.44, `$${own}FTA`] }, `$${own}TOV`] }, 100),
+        OREB_PCT: ratio(`$${own}OREB`, { $add: [`$${own}OREB`, `$${other}DREB`] }, 100),
+        FT_RATE: ratio(`$${own}FTM`, `$${own}FGA`),
+    };
+}
+
+/**
+ * The stages that sum a team's games (paired with the opponent's document) into efficiency ratings.
+ * @param {*} groupId - The $group _id, e.g. '$season', or null for all games.
+ * @returns {Array<object>} The $group and $project stages.
+ */
+function efficiencyStages(groupId) {
+    return [
+        {
+            $group: {
+                _id: groupId,
+                games: { $sum: 1 },
+                wins: { $sum: { $cond: ['$win', 1, 0] } },
+                POSS: { $sum: '$possessions' },
+                minutes: { $sum: '$minutes' },
+                ...Object.fromEntries(EFFICIENCY_STATS.flatMap(stat => [
+                    [`total${stat}`, { $sum: { $ifNull: [`$${stat}`, 0] } }],
+                    [`oppTotal${stat}`, { $sum: { $ifNull: [`$opponent.${stat}`, 0] } }]
+                ]))
+            }
+        },
+        {
+            $set: {
+                OFF_RATING: ratio('$totalPTS', '$POSS', 100),
+                DEF_RATING: ratio('$oppTotalPTS', '$POSS', 100),
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                ...(groupId === null ? {} : { season: '$_id' }),
+                games: 1,
+                wins: 1,
+                losses: { $subtract: ['$games', '$wins'] },
+                POSS: 1,
+                PACE: ratio('$POSS', '$minutes', 48),
+                OFF_RATING: 1,
+                DEF_RATING: 1,
+                NET_RATING: { $subtract: ['$OFF_RATING', '$DEF_RATING'] },
+                team: fourFactorFields('total', 'oppTotal'),
+                opponent: fourFactorFields('oppTotal', 'total'),
+            }
+        }
+    ];
+}
+
+/**
+ * A team's efficiency ratings per season and over all the matched games: estimated possessions,
+ * pace (possessions per 48 minutes), offensive/defensive/net rating (points per 100 possessions)
+ * and the four factors for the team and its opponents. Each game document is paired with the
+ * opponent's through gameId; games whose opponent document is missing are left out.
+ * A game's possessions are the average of both sides' estimates, and its length is the team's
+ * MIN / 5 (team minutes are the players' minutes added up, 240 in regulation).
+ * @param {Array<object>} selection - The abbreviations and eras to include, as for matchTeamSelection.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the teams collection.
+ */
+function buildTeamEfficiencyPipeline(selection, gameFilter) {
+    return [
+        { $match: { ...matchTeamSelection(selection, 'team'), ...gameFilter } },
+        { $lookup: { from: 'teams', localField: 'gameId', foreignField: 'gameId', as: 'sides' } },
+        { $set: { opponent: { $first: { $filter: { input: '$sides', cond: { $ne: ['$$this.team', '$team'] } } } } } },
+        { $match: { opponent: { $exists: true, $ne: null } } },
+        {
+            $set: {
+                possessions: { $multiply: [0.5, { $add: [possessionsExpression('$'), possessionsExpression('$opponent.')] }] },
+                minutes: { $divide: [{ $ifNull: ['$MIN', 240] }, 5] }
+            }
+        },
+        {
+            $facet: {
+                seasons: [...efficiencyStages('$season'), { $sort: { season: 1 } }],
+                overall: efficiencyStages(null)
+            }
+        }
+    ];
+}
+
+/**
+ * A team's game documents against one opponent.
+ * @param {Array<object>} teamSelection - The team's abbreviations and eras, as for matchTeamSelection.
+ * @param {Array<object>} opponentSelection - The opponent's abbreviations and eras.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {object} The filter for the teams collection.
+ */
+function buildMatchupGamesFilter(teamSelection, opponentSelection, gameFilter) {
+    return {
+        $and: [matchTeamSelection(teamSelection, 'team'), matchOpponentSelection(opponentSelection)],
+        ...gameFilter
+    };
+}
+
+/**
+ * Every game between two teams, newest first, with each side's result and final score.
+ * The opponent's line comes from its own document in `teams` (joined on gameId),
+ * so a game is only credited to team 2 when its document says it won.
+ * @param {Array<object>} teamSelection - Team 1's abbreviations and eras, as for matchTeamSelection.
+ * @param {Array<object>} opponentSelection - Team 2's abbreviations and eras.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the teams collection.
+ */
+function buildMatchupGameLogPipeline(teamSelection, opponentSelection, gameFilter) {
+    return [
+        { $match: buildMatchupGamesFilter(teamSelection, opponentSelection, gameFilter) },
+        { $lookup: { from: 'teams', localField: 'gameId', foreignField: 'gameId', as: 'sides' } },
+        {
+            $set: {
+                opponent: { $first: { $filter: { input: '$sides', cond: { $ne: ['$$this.team', '$team'] } } } }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                gameId: 1,
+                date: 1,
+                season: 1,
+                type: 1,
+                home: 1,
+                away: 1,
+                team1: { team: '$team', PTS: '$PTS', win: '$win' },
+                // Missing if the opponent's document wasn't imported
+                team2: {
+                    team: { $ifNull: ['$opponent.team', null] },
+                    PTS: { $ifNull: ['$opponent.PTS', null] },
+                    win: { $ifNull: ['$opponent.win', null] }
+                }
+            }
+        },
+        { $sort: { date: -1, gameId: -1 } }
+    ];
+}
+
+/**
+ * A team's top 5 scorers in games against one opponent, with the eras they played them in.
+ * @param {Array<object>} teamSelection - The team's abbreviations and eras, as for matchTeamSelection.
+ * @param {Array<object>} opponentSelection - The opponent's abbreviations and eras.
+ * @param {Array<object>} eras - Every era of the team's franchise, to name each game's era.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @returns {Array<object>} The aggregation pipeline for the players collection.
+ */
+function buildMatchupTopPlayersPipeline(teamSelection, opponentSelection, eras, gameFilter) {
+    return [
+        { $match: buildMatchupGamesFilter(teamSelection, opponentSelection, gameFilter) },
+        {
+            $group: {
+                // Group by ID so that two players sharing a name are never merged
+                _id: '$playerId',
+                player: { $first: '$player' },
+                avgPTS: { $avg: '$PTS' },
+                gamesPlayed: { $sum: 1 },
+                eras: { $addToSet: eraNameExpression(eras) }
+            }
+        },
+        { $sort: { avgPTS: -1 } },
+        { $limit: 5 },
+        // The name as _id with the playerId alongside, like the career routes
+        { $set: { playerId: '$_id', _id: '$player' } },
+        { $unset: 'player' }
+    ];
+}
+
+/**
+ * Game finder: matching players or teams game documents, paginated with $facet so the
+ * total count comes back with the page.
+ * @param {object} criteria - The resolved search criteria.
+ * @param {number} [criteria.playerId] - Only this player's games (players collection only).
+ * @param {Array<object>} [criteria.teamSelection] - Games played for this team, as for matchTeamSelection.
+ * @param {Array<object>} [criteria.opponentSelection] - Games played against this team.
+ * @param {string} [criteria.venue] - 'home' or 'away', from the team's point of view.
+ * @param {string} [criteria.result] - 'win' or 'loss'.
+ * @param {object} statFilter - The stat conditions from buildStatConditions.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @param {object} page - The sort and page.
+ * @param {string} page.sort - 'date' or one of GAME_STAT_FIELDS.
+ * @param {number} page.order - 1 for ascending, -1 for descending.
+ * @param {number} page.skip - The number of matching games to skip.
+ * @param {number} page.limit - The page size.
+ * @returns {Array<object>} The aggregation pipeline for the players or teams collection.
+ */
+function buildFinderPipeline(criteria, statFilter, gameFilter, { sort, order, skip, limit }) {
+    const { playerId, teamSelection, opponentSelection, venue, result } = criteria;
+    const conditions = [];
+
+    if (playerId !== undefined) conditions.push({ playerId });
+    if (teamSelection) conditions.push(matchTeamSelection(teamSelection, 'team'));
+    if (opponentSelection) {
+        // The opponent is on the other side, not the team the player/team itself played for
+        conditions.push(matchOpponentSelection(opponentSelection));
+        conditions.push({ $nor: [matchTeamSelection(opponentSelection, 'team')] });
+    }
+    if (venue) conditions.push({ $expr: { $eq: [`$${venue}`, '$team'] } });
+    if (result) conditions.push({ win: result === 'win' });
+
+    const match = { ...statFilter, ...gameFilter };
+    if (conditions.length > 0) match.$and = conditions;
+
+    return [
+        { $match: match },
+        { $sort: sort === 'date' ? { date: order, gameId: order } : { [sort]: order, date: -1 } },
+        {
+            $facet: {
+                games: [{ $skip: skip }, { $limit: limit }, { $project: { _id: 0 } }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ];
+}
+
+/**
+ * Every document for one game, in either the players or the teams collection.
+ * @param {number} gameId - The game's ID.
+ * @returns {object} The filter for the players or teams collection.
+ */
+function buildGameIdFilter(gameId) {
+    return { gameId };
+}
+
+/**
+ * The franchise eras the given abbreviations belonged to on a date, to name teams as they were then.
+ * @param {string[]} abbreviations - The team abbreviations.
+ * @param {Date} date - The date, e.g. a game's.
+ * @returns {object} The filter for the franchises collection.
+ */
+function buildErasAtDateFilter(abbreviations, date) {
+    return {
+        abbreviation: { $in: abbreviations },
+        from: { $lte: date },
+        $or: [{ to: null }, { to: { $gt: date } }]
+    };
+}
+
+/**
+ * Counts the games matching a condition, for $group.
+ * @param {object} condition - An aggregation expression that is true for the games to count.
+ * @returns {object} A $sum accumulator.
+ */
+function countIf(condition) {
+    return { $sum: { $cond: [condition, 1, 0] } };
+}
+
+/**
+ * Regular season standings for one season: every team's record, home/away splits,
+ * point differential and last-10 record, with the name, conference and division of the franchise era it played in.
+ * Games behind depends on the conference/division leaders, so it's added by the route.
+ * @param {string} season - The four-digit season.
+ * @returns {Array<object>} The aggregation pipeline for the teams collection.
+ */
+function buildStandingsPipeline(season) {
+    const isHome = { $eq: ['$home', '$team'] };
+
+    return [
+        { $match: { season, type: 'regular' } },
+        // Oldest first, so the pushed results end with the most recent games
+        { $sort: { date: 1 } },
+        {
+            $group: {
+                _id: '$team',
+                teamId: { $first: '$teamId' },
+                gamesPlayed: { $sum: 1 },
+                wins: countIf('$win'),
+                homeWins: countIf({ $and: [isHome, '$win'] }),
+                homeLosses: countIf({ $and: [isHome, { $not: ['$win'] }] }),
+                awayWins: countIf({ $and: [{ $not: [isHome] }, '$win'] }),
+                awayLosses: countIf({ $and: [{ $not: [isHome] }, { $not: ['$win'] }] }),
+                pointDifferential: { $sum: { $ifNull: ['$PLUS_MINUS', 0] } },
+                results: { $push: '$win' },
+                firstGame: { $first: '$date' }
+            }
+        },
+        // The franchise era the team played its season in, for the name and alignment it had then
+        // (e.g. CHA in 2010 is the Charlotte Bobcats in the Southeast)
+        { $lookup: { from: 'franchises', localField: '_id', foreignField: 'abbreviation', as: 'eras' } },
+        {
+            $set: {
+                era: {
+                    $first: {
+                        $filter: {
+                            input: '$eras',
+                            as: 'era',
+                            cond: {
+                                $and: [
+                                    { $lte: ['$$era.from', '$firstGame'] },
+                                    { $or: [{ $eq: ['$$era.to', null] }, { $gt: ['$$era.to', '$firstGame'] }] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                team: '$_id',
+                teamId: 1,
+                name: { $ifNull: ['$era.name', '$_id'] },
+                conference: { $ifNull: ['$era.conference', null] },
+                division: { $ifNull: ['$era.division', null] },
+                gamesPlayed: 1,
+                wins: 1,
+                losses: { $subtract: ['$gamesPlayed', '$wins'] },
+                winPct: { $divide: ['$wins', '$gamesPlayed'] },
+                homeWins: 1,
+                homeLosses: 1,
+                awayWins: 1,
+                awayLosses: 1,
+                pointDifferential: 1,
+                avgPointDifferential: { $divide: ['$pointDifferential', '$gamesPlayed'] },
+                lastTen: { $slice: ['$results', -10] }
+            }
+        },
+        { $sort: { winPct: -1, wins: -1, pointDifferential: -1 } }
+    ];
+}
+
+// The document in the `meta` collection that import-data.js updates after every import
+const DATA_VERSION_ID = 'dataVersion';
+
+/**
+ * The data-version marker, which import-data.js bumps whenever it writes to the database
+ * and server.js reads to invalidate its response cache.
+ * @returns {object} The filter for the meta collection.
+ */
+function buildDataVersionFilter() {
+    return { _id: DATA_VERSION_ID };
+}
+
+module.exports = {
+    GAME_TYPES,
+    TEAM_SCOPES,
+    LEADER_STATS,
+    GAME_STAT_FIELDS,
+    TREND_STATS,
+    TEAMMATE_SORTS,
+    AVERAGED_STATS,
+    TOTAL_STATS,
+    PLAYER_STAT_FIELDS,
+    playerAverageFields,
+    playerTotalFields,
+    derivedStatFields,
+    buildGameFilter,
+    buildStatConditions,
+    buildDateFilter,
+    buildCareerPipeline,
+    buildPlayerSearchPipeline,
+    buildPlayerByIdPipeline,
+    buildPlayersCareerPipeline,
+    buildPlayersSeasonsPipeline,
+    buildPlayerSuggestPipeline,
+    buildResolvePlayerPipeline,
+    buildPlayerSplitsPipeline,
+    buildPlayerTradedSeasonsPipeline,
+    buildPlayerGameLogPipeline,
+    buildPlayerTrendPipeline,
+    buildPlayerTeammatesPipeline,
+    buildPlayerMatchupPipeline,
+    buildPlayerGamesStatsPipeline,
+    buildLeadersPipeline,
+    buildTeamNameFilter,
+    buildFranchiseFilter,
+    buildTeamIdFilter,
+    buildTeamTopPlayersPipeline,
+    buildTeamEfficiencyPipeline,
+    buildMatchupGamesFilter,
+    buildMatchupGameLogPipeline,
+    buildMatchupTopPlayersPipeline,
+    buildStandingsPipeline,
+    buildFinderPipeline,
+    buildGameIdFilter,
+    buildErasAtDateFilter,
+    buildDataVersionFilter,
+};
@@ -0,0 +1,57 @@
+/**
+ * Validation of free-text user input for the API routes in server.js.
+ *
+ * Names are matched with $regex, so search terms are length-limited here and escaped by
+ * the pipeline builders: "(" or ".*" is searched for literally instead of failing the
+ * query or matching every player, and no input can build an expensive pattern.
+ */
+
+// The longest name or abbreviation accepted in a search
+const MAX_SEARCH_LENGTH = 50;
+
+/**
+ * Escapes every regex metacharacter, so the text only matches itself.
+ * @param {string} text - The user's text.
+ * @returns {string} The pattern source.
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+}
+
+/**
+ * Validates a name or abbreviation to search for, collapsing runs of whitespace.
+ * @param {*} input - The path or query parameter.
+ * @param {string} label - How to name the parameter in the error message, e.g. '"player"'.
+ * @returns {{term: string, error: string|null}} The search term, or an error message.
+ */
+function parseSearchTerm(input, label) {
+    const term = typeof input === 'string' ? input.trim().replace(/\s+/g, ' ') : '';
+    if (!term) {
+        return { term, error: `${label} must be a non-empty name.` };
+    }
+    if (term.length > MAX_SEARCH_LENGTH) {
+        return { term, error: `${label} must be at most ${MAX_SEARCH_LENGTH} characters.` };
+    }
+    if (/[\u0000-\u001f\u007f]/.test(term)) {
+        return { term, error: `${label} must not contain control characters.` };
+    }
+    return { term, error: null };
+}
+
+/**
+ * Validates a numeric ID such as a playerId or gameId.
+ * @param {*} input - The path or query parameter.
+ * @param {string} label - How to name the parameter in the error message, e.g. '"playerId"'.
+ * @returns {{id: number, error: string|null}} The ID, or an error message.
+ */
+function parseId(input, label) {
+    const id = /^\d{1,12}$/.test(input) ? parseInt(input, 10) : NaN;
+    return { id, error: Number.isNaN(id) ? `${label} must be a number.` : null };
+}
+
+module.exports = {
+    MAX_SEARCH_LENGTH,
+    escapeRegex,
+    parseSearchTerm,
+    parseId,
+};
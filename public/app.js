@@ -6,9 +6,156 @@ document.addEventListener('DOMContentLoaded', () => {
     const resultsContainer = document.getElementById('results-container');
     const teamResultsContainer = document.getElementById('team-results-container');
     const loadingIndicator = document.getElementById('loading-indicator');
+    const seasonFromSelect = document.getElementById('season-from-select');
+    const seasonToSelect = document.getElementById('season-to-select');
+    const gameTypeSelect = document.getElementById('game-type-select');
+    const teamScopeSelect = document.getElementById('team-scope-select');
+    const standingsSeasonSelect = document.getElementById('standings-season-select');
+
+    // --- Global Filters ---
+
+    /**
+     * Builds the query string for the season range and game type filters.
+     * Every stats route accepts the same parameters, so this is appended to each request.
+     * The team history scope is only read by the team routes; the others ignore it.
+     * @returns {string} The query string, including the leading "?" (or an empty string).
+     */
+    const getFilterQuery = () => {
+        const params = new URLSearchParams();
+        if (seasonFromSelect.value) params.set('seasonFrom', seasonFromSelect.value);
+        if (seasonToSelect.value) params.set('seasonTo', seasonToSelect.value);
+        if (gameTypeSelect.value !== 'all') params.set('type', gameTypeSelect.value);
+        if (teamScopeSelect.value !== 'franchise') params.set('scope', teamScopeSelect.value);
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    };
+
+    // --- Deep Links ---
+    // The address bar holds the latest search and the global filters, e.g.
+    // "/?view=matchup&team1=Celtics&team2=Lakers&type=playoff", so a search can be shared or bookmarked
+    // and back/forward step between searches. Links are restored by restoreView() at the end of the file.
+
+    // True while a link is being restored, so the searches it runs don't add history entries of their own
+    let restoringView = false;
+
+    /**
+     * Records a search in the browser history. Called by each view's loader as the search starts.
+     * @param {string} view - The view, e.g. "player" or "matchup".
+     * @param {object} params - The view's parameters; empty ones are left out, and arrays become repeated parameters.
+     */
+    const recordView = (view, params) => {
+        if (restoringView) return;
+        const query = new URLSearchParams({ view });
+        Object.entries(params).forEach(([key, value]) => {
+            [].concat(value).forEach(item => {
+                if (item !== undefined && item !== null && item !== '') query.append(key, item);
+            });
+        });
+        new URLSearchParams(getFilterQuery()).forEach((value, key) => query.set(key, value));
+
+        // Running the same search again (e.g. pressing Enter twice) isn't a new step
+        if (`?${query}` === window.location.search) return;
+        window.history.pushState(null, '', `?${query}`);
+    };
+
+    /**
+     * The URL of a player's headshot. The asset route always answers with an image: the headshot,
+     * or a placeholder with the player's initials when there is none (e.g. offline).
+     * @param {number} playerId - The player's ID.
+     * @returns {string} The image URL.
+     */
+    const headshotUrl = (playerId) => `/api/assets/headshot/${playerId}`;
+
+    /**
+     * The URL of a team's logo, or of a placeholder in the team's colors.
+     * @param {number|null} teamId - The team's ID; unknown teams get a neutral placeholder.
+     * @returns {string} The image URL.
+     */
+    const logoUrl = (teamId) => `/api/assets/logo/${teamId || 0}`;
+
+    /**
+     * Populates the season selectors with the seasons available in the database.
+     * The page's link is restored once they are in place (see restoreView()).
+     */
+    const loadSeasons = async () => {
+        try {
+            const response = await fetch('/api/seasons');
+            if (!response.ok) return;
+            const seasons = await response.json();
+            seasons.forEach(season => {
+                seasonFromSelect.add(new Option(season, season));
+                seasonToSelect.add(new Option(season, season));
+            });
+            // Latest season first in the standings picker
+            [...seasons].reverse().forEach(season => standingsSeasonSelect.add(new Option(season, season)));
+        } catch (error) {
+            // Leave the selectors on "Earliest"/"Latest" if the seasons can't be loaded.
+        }
+    };
+
+    const seasonsLoaded = loadSeasons();
+
+    /**
+     * Fetches a result from the API. Error responses are `{ code, message }` (see lib/errors.js)
+     * and are thrown as an Error with the server's message and a `code` property.
+     * @param {string} url - The full API URL, including any query string.
+     * @param {string} fallbackMessage - The message to use if the error response has none.
+     * @returns {Promise<*>} The response body.
+     */
+    const fetchJson = async (url, fallbackMessage) => {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (networkError) {
+            throw Object.assign(new Error('Could not reach the server. Check your connection and try again.'), { code: 'NETWORK_ERROR' });
+        }
+        if (response.ok) return response.json();
+
+        // A proxy or crash can still answer with a non-JSON page
+        const body = await response.json().catch(() => ({}));
+        throw Object.assign(new Error(body.message || fallbackMessage || `A server error occurred: ${response.statusText}`), {
+            code: body.code || 'INTERNAL_ERROR'
+        });
+    };
+
+    /**
+     * Replaces a container's content with an error message. The message is set as text,
+     * since server messages can repeat what the user typed.
+     * @param {HTMLElement} container - The results container.
+     * @param {Error|string} error - The error thrown by fetchJson, or a message.
+     */
+    const showError = (container, error) => {
+        const message = document.createElement('p');
+        message.className = 'error-message';
+        message.textContent = typeof error === 'string' ? error : error.message;
+        if (error.code) message.dataset.code = error.code;
+        container.replaceChildren(message);
+    };
+
+    /**
+     * Fetches a result from the API and renders it, handling the loading state and error display.
+     * @param {object} config - The configuration for the request.
+     * @param {HTMLElement} config.container - The container to display results.
+     * @param {string} config.url - The full API URL, including any query string.
+     * @param {string} config.notFoundMessage - The message to show if the API returns no message.
+     * @param {function} config.displayFunction - The function to render the results, called with (data, url).
+     */
+    const fetchAndDisplay = async ({ container, url, notFoundMessage, displayFunction }) => {
+        loadingIndicator.classList.remove('hidden');
+        container.innerHTML = '';
+
+        try {
+            const data = await fetchJson(url, notFoundMessage);
+            displayFunction(data, url);
+        } catch (error) {
+            showError(container, error);
+        } finally {
+            loadingIndicator.classList.add('hidden');
+        }
+    };
 
     /**
-     * A generic function to handle API searches, loading states, and error display.
+     * A generic function to handle API searches from an input box.
      * @param {object} config - The configuration for the search.
      * @param {HTMLInputElement} config.inputElement - The input field.
      * @param {HTMLElement} config.container - The container to display results.
@@ -19,39 +166,189 @@ document.addEventListener('DOMContentLoaded', () => {
     const performSearch = async ({ inputElement, container, apiEndpoint, emptyMessage, displayFunction }) => {
         const query = inputElement.value.trim();
         if (!query) {
-            container.innerHTML = `<p style="color: red;">${emptyMessage}</p>`;
+            showError(container, emptyMessage);
             return;
         }
 
-        loadingIndicator.classList.remove('hidden');
-        container.innerHTML = '';
+        await fetchAndDisplay({
+            container,
+            url: `${apiEndpoint}/${encodeURIComponent(query)}${getFilterQuery()}`,
+            notFoundMessage: `No results found for "${query}".`,
+            displayFunction
+        });
+    };
 
-        try {
-            const response = await fetch(`${apiEndpoint}/${query}`);
-            if (!response.ok) {
-                // Try to parse error message, but have a fallback
-                let errorMsg = `A server error occurred: ${response.statusText}`;
-                try {
-                    const errorData = await response.json();
-                    errorMsg = errorData.message || `No results found for "${query}".`;
-                } catch (e) {
-                    // The error response wasn't valid JSON, use the status text.
-                }
-                throw new Error(errorMsg);
-            }
-            const data = await response.json();
-            displayFunction(data);
-        } catch (error) {
-            container.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
-        } finally {
-            loadingIndicator.classList.add('hidden');
+    const searchPlayer = () => {
+        const name = playerNameInput.value.trim();
+        if (name) recordView('player', { name });
+        return performSearch({ inputElement: playerNameInput, container: resultsContainer, apiEndpoint: '/api/players/search', emptyMessage: 'Please enter a player name.', displayFunction: displayStats });
+    };
+
+    // --- Team Ranking ---
+    const teamStatSelect = document.getElementById('team-stat-select');
+    const teamModeSelect = document.getElementById('team-mode-select');
+    const teamMinGamesInput = document.getElementById('team-min-games-input');
+    // Teams rank on the same stats as the leaderboard
+    teamStatSelect.innerHTML = document.getElementById('leader-stat-select').innerHTML;
+
+    // The team currently shown, so paging and the ranking controls don't depend on the search box
+    let teamQuery = '';
+
+    /**
+     * Loads one page of a team's players, ranked with the ranking controls and global filters.
+     * @param {string} query - The team name or abbreviation.
+     * @param {number} page - The page to load.
+     */
+    const loadTeam = (query, page) => {
+        const params = new URLSearchParams(getFilterQuery());
+        params.set('stat', teamStatSelect.value);
+        params.set('mode', teamModeSelect.value);
+        params.set('minGames', teamMinGamesInput.value || '1');
+        params.set('page', page);
+        teamQuery = query;
+        recordView('team', { team: query, stat: teamStatSelect.value, mode: teamModeSelect.value, minGames: teamMinGamesInput.value, page });
+
+        return fetchAndDisplay({
+            container: teamResultsContainer,
+            url: `/api/teams/search/${encodeURIComponent(query)}?${params}`,
+            notFoundMessage: `No results found for "${query}".`,
+            displayFunction: displayTeamTopPlayers
+        });
+    };
+
+    const searchTeam = () => {
+        const query = teamNameInput.value.trim();
+        if (!query) {
+            showError(teamResultsContainer, 'Please enter a team name.');
+            return;
         }
+        loadTeam(query, 1);
+    };
+
+    [teamStatSelect, teamModeSelect, teamMinGamesInput].forEach(control => control.addEventListener('change', () => {
+        if (teamQuery) loadTeam(teamQuery, 1);
+    }));
+
+    /**
+     * Opens the player card for an exact playerId, skipping the name search.
+     * @param {number} playerId - The player's ID.
+     * @param {string} [playerName] - The name to show in the search box.
+     */
+    const loadPlayerById = (playerId, playerName) => {
+        if (playerName) playerNameInput.value = playerName;
+        recordView('player', { id: playerId, name: playerName });
+        return fetchAndDisplay({
+            container: resultsContainer,
+            url: `/api/players/id/${playerId}${getFilterQuery()}`,
+            notFoundMessage: 'Player not found.',
+            displayFunction: displayStats
+        });
     };
 
-    const searchPlayer = () => performSearch({ inputElement: playerNameInput, container: resultsContainer, apiEndpoint: '/api/players/search', emptyMessage: 'Please enter a player name.', displayFunction: displayStats });
-    const searchTeam = () => performSearch({ inputElement: teamNameInput, container: teamResultsContainer, apiEndpoint: '/api/teams/search', emptyMessage: 'Please enter a team name.', displayFunction: displayTeamTopPlayers });
+    /**
+     * Adds an as-you-type dropdown of player suggestions under an input.
+     * Suggestions can be picked with the mouse or with the arrow keys and Enter;
+     * picking one stops the input's own Enter handler from running a name search.
+     * Must be attached before the input's other keyup listeners.
+     * @param {HTMLInputElement} input - The player name input.
+     * @param {function} onSelect - Called with the chosen suggestion ({ playerId, player, ... }).
+     */
+    const attachPlayerAutocomplete = (input, onSelect) => {
+        const dropdown = document.createElement('ul');
+        dropdown.className = 'suggestions-dropdown hidden';
+        input.parentElement.appendChild(dropdown);
+
+        let suggestions = [];
+        let activeIndex = -1;
+        let debounceTimer = null;
+        let requestCounter = 0;
+
+        const close = () => {
+            dropdown.classList.add('hidden');
+            suggestions = [];
+            activeIndex = -1;
+        };
+
+        const select = (suggestion) => {
+            input.value = suggestion.player;
+            close();
+            onSelect(suggestion);
+        };
+
+        const render = () => {
+            dropdown.innerHTML = '';
+            suggestions.forEach((suggestion, index) => {
+                const item = document.createElement('li');
+                item.className = index === activeIndex ? 'active' : '';
+                const seasons = suggestion.firstSeason === suggestion.lastSeason
+                    ? suggestion.firstSeason
+                    : `${suggestion.firstSeason}-${suggestion.lastSeason}`;
+                item.innerHTML = `<strong></strong><span>${seasons} · ${suggestion.teams.join(', ')}</span>`;
+                item.querySelector('strong').textContent = suggestion.player;
+                // mousedown fires before the input's blur closes the dropdown
+                item.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    select(suggestion);
+                });
+                dropdown.appendChild(item);
+            });
+            dropdown.classList.toggle('hidden', suggestions.length === 0);
+        };
+
+        const fetchSuggestions = async (query) => {
+            const requestId = ++requestCounter;
+            try {
+                const response = await fetch(`/api/players/suggest/${encodeURIComponent(query)}`);
+                if (!response.ok || requestId !== requestCounter) return;
+                suggestions = await response.json();
+                activeIndex = -1;
+                render();
+            } catch (error) {
+                close();
+            }
+        };
+
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            const query = input.value.trim();
+            if (query.length < 2) {
+                requestCounter++; // Discard any response still in flight
+                close();
+                return;
+            }
+            debounceTimer = setTimeout(() => fetchSuggestions(query), 250);
+        });
+
+        input.addEventListener('keydown', (event) => {
+            if (suggestions.length === 0) return;
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+                render();
+            } else if (event.key === 'Escape') {
+                close();
+            }
+        });
+
+        input.addEventListener('keyup', (event) => {
+            if (event.key !== 'Enter') return;
+            if (activeIndex >= 0) {
+                event.stopImmediatePropagation();
+                select(suggestions[activeIndex]);
+            } else {
+                requestCounter++;
+                clearTimeout(debounceTimer);
+                close();
+            }
+        });
+
+        input.addEventListener('blur', close);
+    };
 
     // --- Event Listeners ---
+    attachPlayerAutocomplete(playerNameInput, ({ playerId, player }) => loadPlayerById(playerId, player));
+
     searchButton.addEventListener('click', searchPlayer);
     playerNameInput.addEventListener('keyup', (event) => {
         if (event.key === 'Enter') {
@@ -59,7 +356,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    teamSearchButton.addEventListener('click', searchTeam);
+    teamSearchButton.addEventListener('click', () => searchTeam());
     teamNameInput.addEventListener('keyup', (event) => {
         if (event.key === 'Enter') {
             searchTeam();
@@ -68,11 +365,56 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Display Functions ---
 
+    /**
+     * Formats a numeric stat, showing "-" for stats the API returns as null (e.g. FG% without attempts).
+     * @param {number|null} value - The stat value.
+     * @param {number} digits - The number of decimal places.
+     * @returns {string} The formatted value.
+     */
+    const formatStat = (value, digits) => (value === null || value === undefined ? '-' : value.toFixed(digits));
+
+    /**
+     * The value a player was ranked on by the leaderboard or a team's top players: the total or
+     * per-game average of a counting stat, or the derived metric itself (e.g. TS_PCT).
+     * @param {object} row - The ranked player, with the totals and derived stats from the API.
+     * @param {string} stat - The ranked stat.
+     * @param {string} mode - 'perGame' or 'totals'.
+     * @returns {number|null} The value.
+     */
+    const rankedValue = (row, stat, mode) => {
+        const total = row[`total${stat}`];
+        if (total === undefined) return row[stat];
+        return mode === 'totals' ? total : total / row.gamesPlayed;
+    };
+
+    /**
+     * Builds CSV and JSON download links for the API request behind a result panel.
+     * Every API route returns the same data as a file when given a `format` parameter.
+     * @param {string} url - The API URL the panel was loaded from, including any query string.
+     * @returns {HTMLElement} The links.
+     */
+    const createDownloadLinks = (url) => {
+        const [path, query] = url.split('?');
+        const links = document.createElement('div');
+        links.className = 'download-links';
+        ['csv', 'json'].forEach(format => {
+            const params = new URLSearchParams(query);
+            params.set('format', format);
+            const link = document.createElement('a');
+            link.className = 'match-chip';
+            link.href = `${path}?${params}`;
+            link.textContent = `Download ${format.toUpperCase()}`;
+            links.appendChild(link);
+        });
+        return links;
+    };
+
     /**
      * Displays the stats for a single player.
      * @param {object} stats - The player stats object from the API.
+     * @param {string} url - The API URL the stats were loaded from.
      */
-    function displayStats(stats) {
+    function displayStats(stats, url) {
         // Clear previous results
         resultsContainer.innerHTML = '';
 
@@ -85,12 +427,8 @@ document.addEventListener('DOMContentLoaded', () => {
         imageContainer.className = 'player-image-container';
         const playerImage = document.createElement('img');
         playerImage.className = 'player-image';
-        playerImage.src = `https://cdn.nba.com/headshots/nba/latest/1040x760/${stats.playerId}.png`;
+        playerImage.src = headshotUrl(stats.playerId);
         playerImage.alt = `Headshot of ${stats._id}`;
-        // Fallback image if the player's headshot isn't found
-        playerImage.onerror = () => {
-            playerImage.src = 'https://cdn.nba.com/headshots/nba/latest/1040x760/fallback.png';
-        };
         imageContainer.appendChild(playerImage);
 
         // Create a container for the text info
@@ -110,6 +448,27 @@ document.addEventListener('DOMContentLoaded', () => {
         // Use a Set to remove duplicates (e.g., "Charlotte Hornets" appearing twice for CHH/CHA)
         teamsList.textContent = `Played for: ${[...new Set(stats.teams.sort())].join(', ')}`;
 
+        // Other players matching the same search, so an ambiguous name can be corrected
+        if (stats.otherMatches && stats.otherMatches.length > 0) {
+            const otherMatches = document.createElement('div');
+            otherMatches.className = 'other-matches';
+            otherMatches.append('Did you mean: ');
+            stats.otherMatches.forEach(match => {
+                const chip = document.createElement('button');
+                chip.className = 'match-chip';
+                chip.textContent = `${match.player} (${match.gamesPlayed} GP)`;
+                chip.addEventListener('click', () => loadPlayerById(match.playerId, match.player));
+                otherMatches.appendChild(chip);
+            });
+            careerDetails.appendChild(otherMatches);
+        }
+
+        const compareButton = document.createElement('button');
+        compareButton.className = 'match-chip';
+        compareButton.textContent = '+ Compare';
+        compareButton.addEventListener('click', () => addPlayerToComparison(stats.playerId, stats._id));
+        careerDetails.append(compareButton, createDownloadLinks(url));
+
         // Create a grid for the stats
         const statsGrid = document.createElement('div');
         statsGrid.className = 'stats-grid';
@@ -122,9 +481,16 @@ document.addEventListener('DOMContentLoaded', () => {
             "Steals": (stats.avgSTL || 0).toFixed(2),
             "Blocks": (stats.avgBLK || 0).toFixed(2),
             "Minutes": (stats.avgMIN || 0).toFixed(2),
-            "FG %": (stats.avgFG_PCT || 0).toFixed(1),
-            "3P %": (stats.avg3P_PCT || 0).toFixed(1),
-            "FT %": (stats.avgFT_PCT || 0).toFixed(1),
+            // Shooting percentages are made / attempted over all games (null without attempts)
+            "FG %": formatStat(stats.FG_PCT, 1),
+            "3P %": formatStat(stats['3P_PCT'], 1),
+            "FT %": formatStat(stats.FT_PCT, 1),
+            "TS %": formatStat(stats.TS_PCT, 1),
+            "eFG %": formatStat(stats.EFG_PCT, 1),
+            "AST/TO": formatStat(stats.AST_TOV, 2),
+            "PTS / 36": formatStat(stats.PTS_PER36, 1),
+            "REB / 36": formatStat(stats.REB_PER36, 1),
+            "AST / 36": formatStat(stats.AST_PER36, 1),
         };
 
         for (const [key, value] of Object.entries(statsToShow)) {
@@ -137,17 +503,514 @@ document.addEventListener('DOMContentLoaded', () => {
         // Assemble the card
         infoContainer.appendChild(header);
         infoContainer.appendChild(careerDetails);
-        careerDetails.append(teamsHeader, teamsList);
+        careerDetails.prepend(teamsHeader, teamsList);
         infoContainer.appendChild(statsGrid); // The stats grid will now be inside the info container
         playerCard.append(imageContainer, infoContainer);
         resultsContainer.appendChild(playerCard);
+
+        // Season-by-season splits are loaded separately and rendered under the career grid
+        const splitsSection = document.createElement('div');
+        splitsSection.className = 'season-splits';
+        resultsContainer.appendChild(splitsSection);
+        loadSeasonSplits(stats.playerId, splitsSection);
+
+        // Then the rolling-average chart, the game log and the teammates, each with its own controls
+        const trendSection = document.createElement('div');
+        trendSection.className = 'season-splits';
+        const gameLogSection = document.createElement('div');
+        gameLogSection.className = 'season-splits';
+        const teammatesSection = document.createElement('div');
+        teammatesSection.className = 'season-splits';
+        resultsContainer.append(trendSection, gameLogSection, teammatesSection);
+        createPlayerTrend(stats.playerId, trendSection);
+        createPlayerGameLog(stats.playerId, gameLogSection);
+        createPlayerTeammates(stats.playerId, stats._id, teammatesSection);
+    }
+
+    /**
+     * Fetches a player's season splits and renders them as a sortable table.
+     * @param {number} playerId - The player's ID.
+     * @param {HTMLElement} container - The element to render the table into.
+     */
+    async function loadSeasonSplits(playerId, container) {
+        container.innerHTML = '<p class="muted-note">Loading season splits...</p>';
+        try {
+            const url = `/api/players/${playerId}/seasons${getFilterQuery()}`;
+            const data = await fetchJson(url, 'Season splits unavailable.');
+
+            const header = document.createElement('h3');
+            header.textContent = 'Season Splits';
+            container.innerHTML = '';
+            container.append(header, createDownloadLinks(url), createSortableTable([
+                { key: 'season', label: 'Season' },
+                { key: 'team', label: 'Team' },
+                { key: 'gamesPlayed', label: 'GP' },
+                { key: 'avgMIN', label: 'MIN', format: v => v.toFixed(1) },
+                { key: 'avgPTS', label: 'PTS', format: v => v.toFixed(1) },
+                { key: 'avgREB', label: 'REB', format: v => v.toFixed(1) },
+                { key: 'avgAST', label: 'AST', format: v => v.toFixed(1) },
+                { key: 'avgSTL', label: 'STL', format: v => v.toFixed(1) },
+                { key: 'avgBLK', label: 'BLK', format: v => v.toFixed(1) },
+                { key: 'avgTOV', label: 'TOV', format: v => v.toFixed(1) },
+                { key: 'FG_PCT', label: 'FG%', format: v => v.toFixed(1) },
+                { key: '3P_PCT', label: '3P%', format: v => v.toFixed(1) },
+                { key: 'FT_PCT', label: 'FT%', format: v => v.toFixed(1) },
+                { key: 'TS_PCT', label: 'TS%', format: v => v.toFixed(1) },
+                { key: 'EFG_PCT', label: 'eFG%', format: v => v.toFixed(1) },
+                { key: 'AST_TOV', label: 'AST/TO', format: v => v.toFixed(2) },
+                { key: 'PTS_PER36', label: 'PTS/36', format: v => v.toFixed(1) },
+            ], data.seasons));
+        } catch (error) {
+            showError(container, error);
+        }
+    }
+
+    // The stat groups the trend chart can show. The stats in a group share one scale.
+    const TREND_GROUPS = [
+        { label: 'Points, Rebounds, Assists', stats: ['PTS', 'REB', 'AST'] },
+        { label: 'Shooting %', stats: ['FG_PCT', '3P_PCT', 'TS_PCT'] },
+        { label: 'Steals, Blocks, Turnovers', stats: ['STL', 'BLK', 'TOV'] },
+        { label: 'Minutes', stats: ['MIN'] },
+        { label: 'Plus/Minus', stats: ['PLUS_MINUS'] },
+    ];
+    // The rolling windows offered, in games (41 is half a regular season)
+    const TREND_WINDOWS = [5, 10, 20, 41];
+    // One colour per line of the trend chart
+    const TREND_COLORS = ['#3b82f6', '#ef4444', '#22c55e'];
+    // Days between two games of the same season that the trend chart marks as missed time (injuries, suspensions...)
+    const TREND_GAP_DAYS = 14;
+
+    /**
+     * A stat field's short label, e.g. "FG_PCT" -> "FG%".
+     * @param {string} stat - The stat field.
+     * @returns {string} The label.
+     */
+    const statLabel = (stat) => (stat === 'PLUS_MINUS' ? '+/-' : stat.replace('_PCT', '%'));
+
+    /**
+     * Adds the rolling-average chart to a player card, with pickers for the stats and the window.
+     * @param {number} playerId - The player's ID.
+     * @param {HTMLElement} container - The element to render the chart into.
+     */
+    function createPlayerTrend(playerId, container) {
+        const header = document.createElement('h3');
+        header.textContent = 'Rolling Averages';
+
+        const controls = document.createElement('div');
+        controls.className = 'team-ranking-controls';
+        const groupField = document.createElement('div');
+        groupField.className = 'filter-field';
+        groupField.innerHTML = '<label>Stats</label>';
+        const groupSelect = document.createElement('select');
+        TREND_GROUPS.forEach(({ label }, index) => groupSelect.add(new Option(label, index)));
+        groupField.appendChild(groupSelect);
+        const windowField = document.createElement('div');
+        windowField.className = 'filter-field';
+        windowField.innerHTML = '<label>Window</label>';
+        const windowSelect = document.createElement('select');
+        TREND_WINDOWS.forEach(size => windowSelect.add(new Option(`Last ${size} games`, size)));
+        windowSelect.value = '10';
+        windowField.appendChild(windowSelect);
+        controls.append(groupField, windowField);
+
+        const chartContainer = document.createElement('div');
+        container.append(header, controls, chartContainer);
+
+        const load = async () => {
+            const params = new URLSearchParams(getFilterQuery());
+            params.set('stats', TREND_GROUPS[groupSelect.value].stats.join(','));
+            params.set('window', windowSelect.value);
+            chartContainer.innerHTML = '<p class="muted-note">Loading trend...</p>';
+            try {
+                const url = `/api/players/${playerId}/trend?${params}`;
+                const data = await fetchJson(url, 'Trend unavailable.');
+                chartContainer.replaceChildren(createTrendChart(data), createDownloadLinks(url));
+            } catch (error) {
+                showError(chartContainer, error);
+            }
+        };
+
+        groupSelect.addEventListener('change', load);
+        windowSelect.addEventListener('change', load);
+        load();
+    }
+
+    /**
+     * Draws a player's rolling averages as an SVG line chart, one point per game in date order.
+     * Season changes are drawn as vertical lines and long breaks within a season as red ticks,
+     * and hovering shows the averages at that game.
+     * @param {object} data - The trend object from the API.
+     * @returns {HTMLElement} The chart with its legend and hover caption.
+     */
+    function createTrendChart(data) {
+        const { games, stats } = data;
+        const width = 640;
+        const height = 240;
+        const pad = { top: 16, right: 10, bottom: 20, left: 36 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+
+        const values = games.flatMap(game => stats.map(stat => game[stat])).filter(value => value !== null && value !== undefined);
+        const min = Math.min(0, ...values);
+        const max = Math.max(1, ...values);
+        const x = index => pad.left + (games.length === 1 ? plotWidth / 2 : (index / (games.length - 1)) * plotWidth);
+        const y = value => pad.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+        const grid = [0, 0.25, 0.5, 0.75, 1].map(step => {
+            const value = min + (max - min) * step;
+            return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="rgba(255,255,255,0.08)"/>
+                <text x="${pad.left - 6}" y="${y(value).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${value.toFixed(max - min < 10 ? 1 : 0)}</text>`;
+        });
+
+        // Season changes, labelled where there is room for the label
+        const markers = [];
+        let lastLabelX = -Infinity;
+        games.forEach((game, index) => {
+            const previous = games[index - 1];
+            if (!previous || previous.season !== game.season) {
+                const left = index === 0 ? pad.left : (x(index - 1) + x(index)) / 2;
+                if (index > 0) markers.push(`<line x1="${left.toFixed(1)}" x2="${left.toFixed(1)}" y1="${pad.top}" y2="${pad.top + plotHeight}" stroke="rgba(255,255,255,0.18)" stroke-dasharray="3 3"/>`);
+                if (left - lastLabelX >= 34) {
+                    markers.push(`<text x="${(left + 3).toFixed(1)}" y="${pad.top - 4}">${game.season}</text>`);
+                    lastLabelX = left;
+                }
+            } else {
+                const days = (new Date(game.date) - new Date(previous.date)) / (24 * 60 * 60 * 1000);
+                if (days > TREND_GAP_DAYS) {
+                    const middle = ((x(index - 1) + x(index)) / 2).toFixed(1);
+                    markers.push(`<line x1="${middle}" x2="${middle}" y1="${pad.top + plotHeight - 8}" y2="${pad.top + plotHeight}" stroke="#ef4444" stroke-width="2"><title>${Math.round(days)} days without a game</title></line>`);
+                }
+            }
+        });
+
+        // One path per stat; games without a value (e.g. no 3PA in the window) break the line
+        const lines = stats.map((stat, statIndex) => {
+            let path = '';
+            let drawing = false;
+            games.forEach((game, index) => {
+                const value = game[stat];
+                if (value === null || value === undefined) {
+                    drawing = false;
+                    return;
+                }
+                path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)},${y(value).toFixed(1)}`;
+                drawing = true;
+            });
+            return `<path d="${path}" fill="none" stroke="${TREND_COLORS[statIndex]}" stroke-width="1.5" stroke-linejoin="round"/>`;
+        });
+
+        const chart = document.createElement('div');
+        chart.className = 'trend-chart';
+        chart.innerHTML = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Rolling averages by game">${grid.join('')}${markers.join('')}${lines.join('')}`
+            + `<line class="trend-cursor hidden" y1="${pad.top}" y2="${pad.top + plotHeight}" stroke="rgba(255,255,255,0.5)"/></svg>`;
+
+        const legend = document.createElement('div');
+        legend.className = 'compare-legend';
+        stats.forEach((stat, index) => {
+            const item = document.createElement('div');
+            item.className = 'compare-legend-item';
+            item.innerHTML = `<span class="compare-swatch" style="background: ${TREND_COLORS[index]}"></span><span>${statLabel(stat)}</span>`;
+            legend.appendChild(item);
+        });
+
+        const caption = document.createElement('p');
+        caption.className = 'muted-note';
+        const defaultCaption = `Each point averages the last ${data.window} games (fewer at the start). Hover to see a game.`;
+        caption.textContent = defaultCaption;
+
+        const svg = chart.querySelector('svg');
+        const cursor = chart.querySelector('.trend-cursor');
+        svg.addEventListener('mousemove', (event) => {
+            const box = svg.getBoundingClientRect();
+            const position = ((event.clientX - box.left) / box.width) * width;
+            const index = Math.min(games.length - 1, Math.max(0, Math.round(((position - pad.left) / plotWidth) * (games.length - 1))));
+            const game = games[index];
+            cursor.setAttribute('x1', x(index));
+            cursor.setAttribute('x2', x(index));
+            cursor.classList.remove('hidden');
+            const averages = stats.map(stat => `${statLabel(stat)} ${formatStat(game[stat], 1)}`).join(' · ');
+            caption.textContent = `Game ${game.gameNumber} · ${game.date.slice(0, 10)} · ${game.team} · ${averages} (last ${game.games} games)`;
+        });
+        svg.addEventListener('mouseleave', () => {
+            cursor.classList.add('hidden');
+            caption.textContent = defaultCaption;
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.append(legend, chart, caption);
+        return wrapper;
+    }
+
+    // Game log columns. Every column but Team, Opp and W/L can be sorted on the server.
+    const GAME_LOG_COLUMNS = [
+        { key: 'date', label: 'Date' },
+        { key: 'team', label: 'Team' },
+        { key: 'opponent', label: 'Opp' },
+        { key: 'result', label: 'W/L' },
+        { key: 'MIN', label: 'MIN' },
+        { key: 'PTS', label: 'PTS' },
+        { key: 'REB', label: 'REB' },
+        { key: 'AST', label: 'AST' },
+        { key: 'STL', label: 'STL' },
+        { key: 'BLK', label: 'BLK' },
+        { key: 'TOV', label: 'TOV' },
+        { key: 'FGM', label: 'FGM' },
+        { key: 'FGA', label: 'FGA' },
+        { key: '3PM', label: '3PM' },
+        { key: '3PA', label: '3PA' },
+        { key: 'FTM', label: 'FTM' },
+        { key: 'FTA', label: 'FTA' },
+        { key: 'PLUS_MINUS', label: '+/-' },
+    ];
+
+    /**
+     * Adds the game log to a player card: one page of games at a time, sortable on the server
+     * and limited to a date range. Rows open the game's box score.
+     * @param {number} playerId - The player's ID.
+     * @param {HTMLElement} container - The element to render the game log into.
+     */
+    function createPlayerGameLog(playerId, container) {
+        const header = document.createElement('h3');
+        header.textContent = 'Game Log';
+
+        const controls = document.createElement('div');
+        controls.className = 'team-ranking-controls';
+        const [fromInput, toInput] = ['From', 'To'].map(text => {
+            const field = document.createElement('div');
+            field.className = 'filter-field';
+            const label = document.createElement('label');
+            label.textContent = text;
+            const input = document.createElement('input');
+            input.type = 'date';
+            field.append(label, input);
+            controls.appendChild(field);
+            return input;
+        });
+
+        const logContainer = document.createElement('div');
+        container.append(header, controls, logContainer);
+
+        const sorting = { sort: 'date', order: 'desc' };
+
+        const load = async (page = 1) => {
+            const params = new URLSearchParams(getFilterQuery());
+            if (fromInput.value) params.set('from', fromInput.value);
+            if (toInput.value) params.set('to', toInput.value);
+            params.set('sort', sorting.sort);
+            params.set('order', sorting.order);
+            params.set('page', page);
+            logContainer.innerHTML = '<p class="muted-note">Loading game log...</p>';
+
+            try {
+                const url = `/api/players/${playerId}/gamelog?${params}`;
+                const data = await fetchJson(url, 'Game log unavailable.');
+                const rows = data.games.map(game => ({
+                    ...game,
+                    date: game.date.slice(0, 10),
+                    opponent: `${game.venue === 'home' ? 'vs' : '@'} ${game.opponent}`,
+                    result: game.win ? 'W' : 'L',
+                }));
+
+                const table = createSortableTable(GAME_LOG_COLUMNS, rows, {
+                    sortKey: sorting.sort,
+                    sortAsc: sorting.order === 'asc',
+                    // Sorting has to happen on the server, since only one page is loaded
+                    onSort: (key) => {
+                        if (['team', 'opponent', 'result'].includes(key)) return;
+                        sorting.order = sorting.sort === key && sorting.order === 'desc' ? 'asc' : 'desc';
+                        sorting.sort = key;
+                        load();
+                    },
+                    onRowClick: row => loadGame(row.gameId)
+                });
+                logContainer.replaceChildren(table, createPager(data, 'games', 'No games in this range.', load), createDownloadLinks(url));
+            } catch (error) {
+                showError(logContainer, error);
+            }
+        };
+
+        [fromInput, toInput].forEach(input => input.addEventListener('change', () => load()));
+        load();
+    }
+
+    // The teammate columns; the ones the route can rank by are sorted on the server, highest first
+    const TEAMMATE_COLUMNS = [
+        { key: 'player', label: 'Teammate' },
+        { key: 'teams', label: 'Teams' },
+        { key: 'years', label: 'Years' },
+        { key: 'gamesPlayed', label: 'GP' },
+        { key: 'wins', label: 'W' },
+        { key: 'losses', label: 'L' },
+        { key: 'winPct', label: 'Win %', format: value => formatStat(value * 100, 1) },
+        { key: 'avgPTS', label: 'PTS', format: value => formatStat(value, 1) },
+        { key: 'teammateAvgPTS', label: 'Their PTS', format: value => formatStat(value, 1) },
+        { key: 'combinedPTS', label: 'Combined PTS', format: value => formatStat(value, 1) },
+    ];
+    const TEAMMATE_SORTS = ['gamesPlayed', 'wins', 'winPct', 'combinedPTS'];
+
+    /**
+     * Adds a player's most frequent teammates to a player card, one page at a time. Rows open
+     * the pair's games together in the Player Rivalry section.
+     * @param {number} playerId - The player's ID.
+     * @param {string} playerName - The player's name.
+     * @param {HTMLElement} container - The element to render the teammates into.
+     */
+    function createPlayerTeammates(playerId, playerName, container) {
+        const header = document.createElement('h3');
+        header.textContent = 'Teammates';
+
+        const controls = document.createElement('div');
+        controls.className = 'team-ranking-controls';
+        const field = document.createElement('div');
+        field.className = 'filter-field';
+        const label = document.createElement('label');
+        label.textContent = 'Min Games Together';
+        const minGamesInput = document.createElement('input');
+        minGamesInput.type = 'number';
+        minGamesInput.min = '1';
+        minGamesInput.value = '1';
+        field.append(label, minGamesInput);
+        controls.appendChild(field);
+
+        const listContainer = document.createElement('div');
+        container.append(header, controls, listContainer);
+
+        let sort = 'gamesPlayed';
+
+        const load = async (page = 1) => {
+            const params = new URLSearchParams(getFilterQuery());
+            params.set('sort', sort);
+            params.set('minGames', Math.max(1, parseInt(minGamesInput.value, 10) || 1));
+            params.set('page', page);
+            listContainer.innerHTML = '<p class="muted-note">Loading teammates...</p>';
+
+            try {
+                const url = `/api/players/${playerId}/teammates?${params}`;
+                const data = await fetchJson(url, 'Teammates unavailable.');
+                const rows = data.teammates.map(teammate => ({
+                    ...teammate,
+                    teams: teammate.teams.join(', '),
+                    years: `${teammate.firstGame.slice(0, 4)}-${teammate.lastGame.slice(0, 4)}`,
+                }));
+
+                const table = createSortableTable(TEAMMATE_COLUMNS, rows, {
+                    sortKey: sort,
+                    sortAsc: false,
+                    // Only the columns the route ranks by re-sort, highest first
+                    onSort: (key) => {
+                        if (!TEAMMATE_SORTS.includes(key) || key === sort) return;
+                        sort = key;
+                        load();
+                    },
+                    onRowClick: row => openTeammatePair({ playerId, player: playerName }, row)
+                });
+                listContainer.replaceChildren(table, createPager(data, 'teammates', 'No teammates with that many games.', load), createDownloadLinks(url));
+            } catch (error) {
+                showError(listContainer, error);
+            }
+        };
+
+        minGamesInput.addEventListener('change', () => load());
+        load();
+    }
+
+    /**
+     * Builds a table whose rows can be re-sorted by clicking a column header.
+     * Clicking the active column again toggles between ascending and descending order.
+     * @param {Array<{key: string, label: string, format?: function}>} columns - The columns to show.
+     * @param {Array<object>} rows - The data rows.
+     * @param {object} [options] - Optional behaviour.
+     * @param {string} [options.sortKey] - The column the rows are already sorted by, to mark in the header.
+     * @param {boolean} [options.sortAsc] - Whether that initial order is ascending.
+     * @param {function} [options.onSort] - Called with (key, asc) instead of sorting locally, for server-sorted data.
+     * @param {function} [options.onRowClick] - Called with the row object when a row is clicked.
+     * @returns {HTMLElement} A scrollable wrapper containing the table.
+     */
+    function createSortableTable(columns, rows, options = {}) {
+        const { onSort, onRowClick } = options;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-wrapper';
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        const tbody = document.createElement('tbody');
+        let sortKey = options.sortKey || null;
+        let sortAsc = options.sortAsc !== undefined ? options.sortAsc : true;
+
+        const renderBody = () => {
+            // Server-sorted rows already arrive in order
+            const sorted = sortKey === null || onSort ? rows : [...rows].sort((a, b) => {
+                const x = a[sortKey];
+                const y = b[sortKey];
+                // Missing values (e.g. a percentage without attempts) always sort last
+                if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+                if (y === null || y === undefined) return -1;
+                const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+                return sortAsc ? cmp : -cmp;
+            });
+            tbody.innerHTML = '';
+            sorted.forEach(row => {
+                const tr = document.createElement('tr');
+                if (onRowClick) {
+                    tr.className = 'clickable-row';
+                    tr.addEventListener('click', () => onRowClick(row));
+                }
+                columns.forEach(({ key, format }) => {
+                    const td = document.createElement('td');
+                    const value = row[key];
+                    if (typeof value === 'string') td.className = 'text-cell';
+                    td.textContent = value === null || value === undefined ? '-' : (format ? format(value, row) : value);
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+            });
+        };
+
+        columns.forEach(({ key, label }) => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            if (rows.length > 0 && typeof rows[0][key] === 'string') th.className = 'text-cell';
+            if (key === sortKey) th.classList.add(sortAsc ? 'sorted-asc' : 'sorted-desc');
+            th.addEventListener('click', () => {
+                sortAsc = sortKey === key ? !sortAsc : true;
+                sortKey = key;
+                if (onSort) {
+                    onSort(key, sortAsc);
+                    return;
+                }
+                headRow.querySelectorAll('th').forEach(cell => cell.classList.remove('sorted-asc', 'sorted-desc'));
+                th.classList.add(sortAsc ? 'sorted-asc' : 'sorted-desc');
+                renderBody();
+            });
+            headRow.appendChild(th);
+        });
+
+        thead.appendChild(headRow);
+        table.append(thead, tbody);
+        wrapper.appendChild(table);
+        renderBody();
+        return wrapper;
     }
 
     /**
-     * Displays the top players for a team.
+     * Formats a franchise era for display, e.g. "Seattle SuperSonics (SEA) 1967–2008".
+     * Eras start and end on July 1, so the years are the first and last season start years + 1.
+     * @param {object} era - The era object from the API.
+     * @returns {string} The era label.
+     */
+    const formatEra = (era) => {
+        const from = new Date(era.from).getUTCFullYear();
+        const to = era.to ? new Date(era.to).getUTCFullYear() : 'present';
+        return `${era.name} (${era.abbreviation}) ${from}–${to}`;
+    };
+
+    /**
+     * Displays a team's players, ranked on the chosen stat, with a pager.
      * @param {object} teamData - The team data object from the API.
+     * @param {string} url - The API URL the team was loaded from.
      */
-    function displayTeamTopPlayers(teamData) {
+    function displayTeamTopPlayers(teamData, url) {
         teamResultsContainer.innerHTML = ''; // Clear previous results
 
         const headerContainer = document.createElement('div');
@@ -156,17 +1019,36 @@ document.addEventListener('DOMContentLoaded', () => {
         if (teamData.teamId) {
             const logo = document.createElement('img');
             logo.className = 'team-logo';
-            logo.src = `https://cdn.nba.com/logos/nba/${teamData.teamId}/primary/L/logo.svg`;
+            logo.src = logoUrl(teamData.teamId);
             logo.alt = `${teamData.teamName} logo`;
-            logo.onerror = () => { logo.style.display = 'none'; }; // Hide if logo fails to load
             headerContainer.appendChild(logo);
         }
 
+        // Derived stats (FG_PCT, PTS_PER36, ...) are the same per game or in total
+        const isCountingStat = !teamData.stat.includes('_');
+        const statLabel = teamStatSelect.querySelector(`option[value="${teamData.stat}"]`).textContent;
+        const rankedBy = isCountingStat ? `${statLabel} ${teamData.mode === 'totals' ? '(Totals)' : 'per Game'}` : statLabel;
+        let digits = teamData.stat === 'AST_TOV' ? 2 : 1;
+        if (isCountingStat && teamData.mode === 'totals') digits = 0;
+
         const header = document.createElement('h2');
-        header.textContent = `Top 10 All-Time Players for ${teamData.teamName}`;
+        header.textContent = `${teamData.teamName} Leaders: ${rankedBy}`;
         headerContainer.appendChild(header);
 
-        teamResultsContainer.appendChild(headerContainer);
+        teamResultsContainer.append(headerContainer, createDownloadLinks(url));
+
+        // List the eras the stats cover, plus the rest of the franchise's history when searching one era
+        const eraNote = document.createElement('p');
+        eraNote.className = 'muted-note';
+        eraNote.textContent = `Includes: ${teamData.eras.map(formatEra).join(' · ')}`;
+        teamResultsContainer.appendChild(eraNote);
+        if (teamData.scope === 'era' && teamData.franchise.eras.length > teamData.eras.length) {
+            const franchiseNote = document.createElement('p');
+            franchiseNote.className = 'muted-note';
+            franchiseNote.textContent = `Franchise history: ${teamData.franchise.eras.map(formatEra).join(' · ')}`;
+            teamResultsContainer.appendChild(franchiseNote);
+        }
+        const showEras = new Set(teamData.eras.map(era => era.name)).size > 1;
 
         const playerList = document.createElement('div');
         playerList.className = 'top-players-list';
@@ -177,27 +1059,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const playerImage = document.createElement('img');
             playerImage.className = 'top-player-image';
-            playerImage.src = `https://cdn.nba.com/headshots/nba/latest/1040x760/${player.playerId}.png`;
-            playerImage.alt = `Headshot of ${player._id}`;
-            playerImage.onerror = () => {
-                playerImage.src = 'https://cdn.nba.com/headshots/nba/latest/1040x760/fallback.png';
-            };
+            playerImage.src = headshotUrl(player.playerId);
+            playerImage.alt = `Headshot of ${player.player}`;
 
             const playerName = document.createElement('span');
             playerName.className = 'top-player-name';
-            playerName.textContent = player._id;
+            playerName.textContent = `${player.rank}. ${player.player}`;
 
             const playerStats = document.createElement('span');
             playerStats.className = 'top-player-stats';
-            playerStats.textContent = `${player.avgPTS.toFixed(2)} PPG in ${player.gamesPlayed} games`;
+            playerStats.textContent = `${formatStat(rankedValue(player, teamData.stat, teamData.mode), digits)} ${rankedBy} in ${player.gamesPlayed} games`;
+            // Say which era(s) the games come from when the franchise went by more than one name
+            if (showEras) playerStats.textContent += ` · ${player.eras.sort().join(', ')}`;
 
             // Make the entire player item clickable
             playerItem.style.cursor = 'pointer';
             playerItem.addEventListener('click', () => {
-                // Populate the player search input with the clicked player's name
-                playerNameInput.value = player._id;
-                // Trigger the player search
-                searchPlayer();
+                // Open the exact player rather than searching by name (names aren't unique)
+                loadPlayerById(player.playerId, player.player);
                 // Scroll to the player search section for better UX
                 document.getElementById('player-search-column').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
             });
@@ -206,7 +1085,86 @@ document.addEventListener('DOMContentLoaded', () => {
             playerList.appendChild(playerItem);
         });
 
-        teamResultsContainer.appendChild(playerList);
+        const pager = createPager(teamData, `players with ${teamData.minGames}+ games`, 'No players qualify. Try lowering the minimum games.', (page) => loadTeam(teamQuery, page));
+        teamResultsContainer.append(playerList, pager);
+
+        // The team's efficiency ratings are loaded separately and rendered under the players
+        const ratingsSection = document.createElement('div');
+        ratingsSection.className = 'season-splits team-ratings';
+        teamResultsContainer.appendChild(ratingsSection);
+        loadTeamRatings(teamQuery, ratingsSection);
+    }
+
+    // The four factors, as [label, key, decimal places], for the team and its opponents
+    const FOUR_FACTORS = [['eFG%', 'EFG_PCT', 1], ['TOV%', 'TOV_PCT', 1], ['OREB%', 'OREB_PCT', 1], ['FT/FGA', 'FT_RATE', 3]];
+
+    /**
+     * Fetches a team's efficiency ratings and renders the overall numbers, the four factors
+     * against its opponents and a season-by-season table.
+     * @param {string} query - The team name or abbreviation.
+     * @param {HTMLElement} container - The element to render the ratings into.
+     */
+    async function loadTeamRatings(query, container) {
+        container.innerHTML = '<p class="muted-note">Loading team ratings...</p>';
+        try {
+            const url = `/api/teams/stats/${encodeURIComponent(query)}${getFilterQuery()}`;
+            const data = await fetchJson(url, 'Team ratings unavailable.');
+            const { overall } = data;
+
+            const header = document.createElement('h3');
+            header.textContent = 'Team Ratings';
+
+            const summary = document.createElement('div');
+            summary.className = 'stats-grid';
+            const sign = value => (value > 0 ? '+' : '');
+            Object.entries({
+                'Record': `${overall.wins}-${overall.losses}`,
+                'Pace': formatStat(overall.PACE, 1),
+                'Off. Rating': formatStat(overall.OFF_RATING, 1),
+                'Def. Rating': formatStat(overall.DEF_RATING, 1),
+                'Net Rating': `${sign(overall.NET_RATING)}${formatStat(overall.NET_RATING, 1)}`,
+            }).forEach(([label, value]) => {
+                const item = document.createElement('div');
+                item.className = 'stat-item';
+                item.innerHTML = `<strong>${label}</strong><span>${value}</span>`;
+                summary.appendChild(item);
+            });
+
+            const factorsTable = createSortableTable([
+                { key: 'factor', label: 'Four Factors' },
+                { key: 'team', label: data.teamName },
+                { key: 'opponent', label: 'Opponents' },
+            ], FOUR_FACTORS.map(([label, key, digits]) => ({
+                factor: label,
+                team: formatStat(overall.team[key], digits),
+                opponent: formatStat(overall.opponent[key], digits),
+            })));
+
+            const seasonRows = data.seasons.map(({ team, opponent, ...season }) => ({
+                ...season,
+                ...Object.fromEntries(FOUR_FACTORS.map(([, key]) => [key, team[key]])),
+                ...Object.fromEntries(FOUR_FACTORS.map(([, key]) => [`opp${key}`, opponent[key]])),
+            }));
+            const seasonsTable = createSortableTable([
+                { key: 'season', label: 'Season' },
+                { key: 'wins', label: 'W' },
+                { key: 'losses', label: 'L' },
+                { key: 'PACE', label: 'Pace', format: v => v.toFixed(1) },
+                { key: 'OFF_RATING', label: 'ORtg', format: v => v.toFixed(1) },
+                { key: 'DEF_RATING', label: 'DRtg', format: v => v.toFixed(1) },
+                { key: 'NET_RATING', label: 'Net', format: v => `${sign(v)}${v.toFixed(1)}` },
+                ...FOUR_FACTORS.map(([label, key, digits]) => ({ key, label, format: v => v.toFixed(digits) })),
+                ...FOUR_FACTORS.map(([label, key, digits]) => ({ key: `opp${key}`, label: `Opp ${label}`, format: v => v.toFixed(digits) })),
+            ], seasonRows);
+
+            const note = document.createElement('p');
+            note.className = 'muted-note';
+            note.textContent = `Ratings are points per 100 possessions and pace is possessions per 48 minutes, over ${overall.games} games with both box scores.`;
+
+            container.replaceChildren(header, summary, factorsTable, seasonsTable, note, createDownloadLinks(url));
+        } catch (error) {
+            showError(container, error);
+        }
     }
     // --- Rivalry Feature ---
     const rivalryTeam1Input = document.getElementById('rivalry-team1-input');
@@ -219,24 +1177,23 @@ document.addEventListener('DOMContentLoaded', () => {
         const t2 = rivalryTeam2Input.value.trim();
 
         if (!t1 || !t2) {
-            alert('Please enter both team names.');
+            showError(rivalryResultsContainer, 'Please enter both team names.');
+            rivalryResultsContainer.classList.remove('hidden');
             return;
         }
+        recordView('matchup', { team1: t1, team2: t2 });
 
         loadingIndicator.classList.remove('hidden');
         rivalryResultsContainer.classList.add('hidden');
         rivalryResultsContainer.innerHTML = '';
 
         try {
-            const response = await fetch(`/api/matchup/${t1}/${t2}`);
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || 'Matchup not found.');
-            }
-            const data = await response.json();
-            displayMatchup(data);
+            const url = `/api/matchup/${encodeURIComponent(t1)}/${encodeURIComponent(t2)}${getFilterQuery()}`;
+            const data = await fetchJson(url, 'Matchup not found.');
+            displayMatchup(data, url);
         } catch (error) {
-            alert(error.message);
+            showError(rivalryResultsContainer, error);
+            rivalryResultsContainer.classList.remove('hidden');
         } finally {
             loadingIndicator.classList.add('hidden');
         }
@@ -244,47 +1201,1337 @@ document.addEventListener('DOMContentLoaded', () => {
 
     rivalrySearchButton.addEventListener('click', searchMatchup);
 
-    function displayMatchup(data) {
+    /**
+     * Displays a team head-to-head: the series score, home/away and game-type breakdowns,
+     * top performers on each side and a filterable game log.
+     * @param {object} data - The matchup object from the API.
+     * @param {string} url - The API URL the matchup was loaded from.
+     */
+    function displayMatchup(data, url) {
+        const { team1, team2 } = data;
+        const byType = type => data.byType[type] || { games: 0, team1Wins: 0, team2Wins: 0 };
+        const breakdown = [
+            ['Home Record', `${team1.homeWins}-${team1.homeLosses}`, `${team2.homeWins}-${team2.homeLosses}`, team1.homeWins - team1.homeLosses, team2.homeWins - team2.homeLosses],
+            ['Away Record', `${team1.awayWins}-${team1.awayLosses}`, `${team2.awayWins}-${team2.awayLosses}`, team1.awayWins - team1.awayLosses, team2.awayWins - team2.awayLosses],
+            ['Regular Season Wins', byType('regular').team1Wins, byType('regular').team2Wins],
+            ['Playoff Wins', byType('playoff').team1Wins, byType('playoff').team2Wins],
+            ['Longest Win Streak', team1.longestStreak, team2.longestStreak],
+        ];
+
+        const notes = [`${data.gamesPlayed} games`];
+        if (data.averageMargin !== null) {
+            const leader = data.averageMargin >= 0 ? team1 : team2;
+            notes.push(`${leader.name} by ${Math.abs(data.averageMargin).toFixed(1)} points per game on average`);
+        }
+        if (data.currentStreak) notes.push(`${data[data.currentStreak.team].name} have won the last ${data.currentStreak.length}`);
+        if (data.undecidedGames > 0) notes.push(`${data.undecidedGames} without a recorded winner`);
+
         rivalryResultsContainer.classList.remove('hidden');
         rivalryResultsContainer.innerHTML = `
             <div class="matchup-banner">
                 <div class="score-board">
                     <div class="team-score">
-                        <img src="https://cdn.nba.com/logos/nba/${data.team1.teamId}/primary/L/logo.svg" class="matchup-logo" onerror="this.style.display='none'">
-                        <h3>${data.team1.wins}</h3>
+                        <img src="${logoUrl(team1.teamId)}" class="matchup-logo" alt="">
+                        <h3>${team1.wins}</h3>
                     </div>
                     <div class="score-divider">-</div>
                     <div class="team-score">
-                        <h3>${data.team2.wins}</h3>
-                        <img src="https://cdn.nba.com/logos/nba/${data.team2.teamId}/primary/L/logo.svg" class="matchup-logo" onerror="this.style.display='none'">
+                        <h3>${team2.wins}</h3>
+                        <img src="${logoUrl(team2.teamId)}" class="matchup-logo" alt="">
                     </div>
                 </div>
-                
+                <p class="muted-note">${notes.join(' · ')}</p>
+                <div class="head-to-head-stats">
+                    ${breakdown.map(([label, value1, value2, rank1 = value1, rank2 = value2]) => `
+                        <div class="h2h-stat-row">
+                            <span class="${rank1 > rank2 ? 'h2h-leader' : ''}">${value1}</span>
+                            <strong>${label}</strong>
+                            <span class="${rank2 > rank1 ? 'h2h-leader' : ''}">${value2}</span>
+                        </div>
+                    `).join('')}
+                </div>
+
                 <div class="top-performers-grid">
                     <div class="team-column">
-                        <h4>Top ${data.team1.name} Performers</h4>
+                        <h4>Top ${team1.name} Performers</h4>
+                        <p class="muted-note">${team1.eras.map(formatEra).join(' · ')}</p>
                         ${data.team1TopPlayers.map(p => createMiniPlayer(p)).join('')}
                     </div>
                     <div class="team-column">
-                        <h4>Top ${data.team2.name} Performers</h4>
+                        <h4>Top ${team2.name} Performers</h4>
+                        <p class="muted-note">${team2.eras.map(formatEra).join(' · ')}</p>
                         ${data.team2TopPlayers.map(p => createMiniPlayer(p)).join('')}
                     </div>
                 </div>
             </div>
         `;
+
+        const banner = rivalryResultsContainer.querySelector('.matchup-banner');
+        if (data.games.length > 0) {
+            banner.appendChild(createMatchupGameLog(data));
+        }
+        banner.appendChild(createDownloadLinks(url));
     }
 
-    function createMiniPlayer(player) {
-        return `
-            <div class="mini-player-item">
-                <img src="https://cdn.nba.com/headshots/nba/latest/1040x760/${player.playerId}.png" 
-                     class="mini-player-img" 
-                     onerror="this.src='https://cdn.nba.com/headshots/nba/latest/1040x760/fallback.png'">
-                <div class="mini-player-info">
-                    <div>${player._id}</div>
-                </div>
-                <div class="mini-player-stat">${player.avgPTS.toFixed(1)} PPG</div>
-            </div>
+    /**
+     * Builds the matchup game log with filters for game type, venue and season.
+     * @param {object} data - The matchup object from the API.
+     * @returns {HTMLElement} The game log section.
+     */
+    function createMatchupGameLog(data) {
+        const { team1, team2 } = data;
+        const section = document.createElement('div');
+        section.className = 'matchup-game-log';
+
+        const header = document.createElement('h4');
+        header.textContent = 'Games';
+
+        const createFilter = (label, options) => {
+            const field = document.createElement('div');
+            field.className = 'filter-field';
+            const fieldLabel = document.createElement('label');
+            fieldLabel.textContent = label;
+            const select = document.createElement('select');
+            options.forEach(([value, text]) => select.add(new Option(text, value)));
+            field.append(fieldLabel, select);
+            return { field, select };
+        };
+
+        const seasons = [...new Set(data.games.map(game => game.season))].sort().reverse();
+        const typeFilter = createFilter('Game Type', [['all', 'All Games'], ['regular', 'Regular Season'], ['playoff', 'Playoffs']]);
+        const venueFilter = createFilter('Venue', [['all', 'Any Venue'], ['team1', `At ${team1.name}`], ['team2', `At ${team2.name}`]]);
+        const seasonFilter = createFilter('Season', [['all', 'All Seasons'], ...seasons.map(season => [season, season])]);
+
+        const filters = document.createElement('div');
+        filters.className = 'filter-bar game-log-filters';
+        filters.append(typeFilter.field, venueFilter.field, seasonFilter.field);
+
+        const tableContainer = document.createElement('div');
+
+        const renderGames = () => {
+            const rows = data.games
+                .filter(game => typeFilter.select.value === 'all' || game.type === typeFilter.select.value)
+                .filter(game => venueFilter.select.value === 'all' || game.home === game[venueFilter.select.value].team)
+                .filter(game => seasonFilter.select.value === 'all' || game.season === seasonFilter.select.value)
+                .map(game => ({
+                    gameId: game.gameId,
+                    date: game.date.slice(0, 10),
+                    season: game.season,
+                    type: game.type === 'playoff' ? 'Playoffs' : 'Regular',
+                    matchup: `${game.away} @ ${game.home}`,
+                    team1PTS: game.team1.PTS,
+                    team2PTS: game.team2.PTS,
+                    margin: game.margin,
+                    winner: game.winner ? data[game.winner].name : null,
+                }));
+
+            tableContainer.innerHTML = '';
+            if (rows.length === 0) {
+                tableContainer.innerHTML = '<p class="muted-note">No games match these filters.</p>';
+                return;
+            }
+            tableContainer.appendChild(createSortableTable([
+                { key: 'date', label: 'Date' },
+                { key: 'season', label: 'Season' },
+                { key: 'type', label: 'Type' },
+                { key: 'matchup', label: 'Matchup' },
+                { key: 'team1PTS', label: team1.abbreviation },
+                { key: 'team2PTS', label: team2.abbreviation },
+                { key: 'margin', label: `+/- (${team1.abbreviation})`, format: v => (v > 0 ? `+${v}` : v) },
+                { key: 'winner', label: 'Winner' },
+            ], rows, { onRowClick: row => loadGame(row.gameId) }));
+        };
+
+        [typeFilter, venueFilter, seasonFilter].forEach(({ select }) => select.addEventListener('change', renderGames));
+        renderGames();
+
+        section.append(header, filters, tableContainer);
+        return section;
+    }
+
+    // --- Game Box Score ---
+    const gameSection = document.getElementById('game-section');
+    const gameResultsContainer = document.getElementById('game-results-container');
+
+    document.getElementById('game-close-button').addEventListener('click', () => gameSection.classList.add('hidden'));
+
+    /**
+     * Opens the box score for one game. Game lists elsewhere on the page call this from their rows.
+     * @param {number} gameId - The game's ID.
+     */
+    async function loadGame(gameId) {
+        recordView('game', { id: gameId });
+        gameSection.classList.remove('hidden');
+        gameSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        loadingIndicator.classList.remove('hidden');
+        gameResultsContainer.innerHTML = '';
+
+        try {
+            const url = `/api/games/${gameId}`;
+            const data = await fetchJson(url, 'Game not found.');
+            displayGame(data, url);
+        } catch (error) {
+            showError(gameResultsContainer, error);
+        } finally {
+            loadingIndicator.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Displays a box score: the final score, then each team's starters and bench.
+     * @param {object} data - The game object from the API.
+     * @param {string} url - The API URL the game was loaded from.
+     */
+    function displayGame(data, url) {
+        const [awayTeam, homeTeam] = data.teams;
+        const banner = document.createElement('div');
+        banner.className = 'matchup-banner';
+        banner.innerHTML = `
+            <div class="score-board">
+                <div class="team-score">
+                    <img src="${logoUrl(awayTeam.teamId)}" class="matchup-logo" alt="">
+                    <h3>${awayTeam.PTS !== undefined ? awayTeam.PTS : '-'}</h3>
+                    <span>${awayTeam.name}</span>
+                </div>
+                <div class="score-divider">@</div>
+                <div class="team-score">
+                    <h3>${homeTeam.PTS !== undefined ? homeTeam.PTS : '-'}</h3>
+                    <img src="${logoUrl(homeTeam.teamId)}" class="matchup-logo" alt="">
+                    <span>${homeTeam.name}</span>
+                </div>
+            </div>
+            <p class="muted-note">${data.date.slice(0, 10)} · ${data.season} ${data.type === 'playoff' ? 'Playoffs' : 'Regular Season'} · Game ${data.gameId}</p>
         `;
+
+        const columns = [
+            { key: 'player', label: 'Player' },
+            { key: 'MIN', label: 'MIN' },
+            { key: 'PTS', label: 'PTS' },
+            { key: 'FGM', label: 'FGM' },
+            { key: 'FGA', label: 'FGA' },
+            { key: '3PM', label: '3PM' },
+            { key: '3PA', label: '3PA' },
+            { key: 'FTM', label: 'FTM' },
+            { key: 'FTA', label: 'FTA' },
+            { key: 'OREB', label: 'OREB' },
+            { key: 'DREB', label: 'DREB' },
+            { key: 'REB', label: 'REB' },
+            { key: 'AST', label: 'AST' },
+            { key: 'STL', label: 'STL' },
+            { key: 'BLK', label: 'BLK' },
+            { key: 'TOV', label: 'TOV' },
+            { key: 'PF', label: 'PF' },
+            { key: 'PLUS_MINUS', label: '+/-', format: v => (v > 0 ? `+${v}` : v) },
+        ];
+        const openPlayer = (row) => {
+            loadPlayerById(row.playerId, row.player);
+            document.getElementById('player-search-column').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        };
+
+        data.teams.forEach(team => {
+            const teamHeader = document.createElement('h4');
+            teamHeader.className = 'standings-group';
+            teamHeader.textContent = team.name;
+            banner.appendChild(teamHeader);
+
+            [['Starters', team.starters], ['Bench', team.bench]].forEach(([label, players]) => {
+                if (players.length === 0) return;
+                const groupLabel = document.createElement('p');
+                groupLabel.className = 'muted-note';
+                groupLabel.textContent = label;
+                banner.append(groupLabel, createSortableTable(columns, players, { onRowClick: openPlayer }));
+            });
+        });
+
+        banner.appendChild(createDownloadLinks(url));
+        gameResultsContainer.appendChild(banner);
+    }
+
+    // --- Standings ---
+    const standingsGroupSelect = document.getElementById('standings-group-select');
+    const standingsResultsContainer = document.getElementById('standings-results-container');
+
+    // The last standings response, so regrouping doesn't need another request
+    let currentStandings = null;
+
+    /**
+     * Fetches the standings for the selected season.
+     */
+    async function loadStandings() {
+        const season = standingsSeasonSelect.value;
+        if (!season) return;
+
+        standingsResultsContainer.innerHTML = '';
+        try {
+            currentStandings = await fetchJson(`/api/standings/${season}`, 'Could not load the standings.');
+            displayStandings();
+        } catch (error) {
+            showError(standingsResultsContainer, error);
+        }
+    }
+
+    /**
+     * Displays the current standings as one table per conference, per division, or for the whole league.
+     */
+    function displayStandings() {
+        const groupBy = standingsGroupSelect.value;
+        const gamesBehindKey = groupBy === 'division' ? 'divisionGamesBehind' : 'gamesBehind';
+        const groups = new Map();
+
+        currentStandings.standings.forEach(row => {
+            const group = groupBy === 'league' ? 'League' : (row[groupBy] || 'Unassigned');
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(row);
+        });
+
+        const columns = [
+            { key: 'name', label: 'Team' },
+            { key: 'wins', label: 'W' },
+            { key: 'losses', label: 'L' },
+            { key: 'winPct', label: 'PCT', format: v => v.toFixed(3).replace(/^0/, '') },
+            // Games behind is only meaningful within a conference or division
+            ...(groupBy === 'league' ? [] : [{ key: gamesBehindKey, label: 'GB', format: v => (v === 0 ? '-' : v.toFixed(1)) }]),
+            { key: 'home', label: 'Home' },
+            { key: 'away', label: 'Away' },
+            { key: 'avgPointDifferential', label: 'Diff', format: v => (v > 0 ? '+' : '') + v.toFixed(1) },
+            { key: 'lastTen', label: 'L10' },
+        ];
+
+        standingsResultsContainer.innerHTML = '';
+        [...groups.keys()].sort().forEach(group => {
+            const heading = document.createElement('h4');
+            heading.className = 'standings-group';
+            heading.textContent = group;
+            const rows = groups.get(group).map(row => ({
+                ...row,
+                home: `${row.homeWins}-${row.homeLosses}`,
+                away: `${row.awayWins}-${row.awayLosses}`,
+                lastTen: `${row.lastTenWins}-${row.lastTenLosses}`
+            }));
+            standingsResultsContainer.append(heading, createSortableTable(columns, rows));
+        });
+        standingsResultsContainer.appendChild(createDownloadLinks(`/api/standings/${currentStandings.season}`));
+    }
+
+    /**
+     * Records the standings picked in the season and grouping selectors.
+     */
+    const recordStandings = () => recordView('standings', { season: standingsSeasonSelect.value, group: standingsGroupSelect.value });
+
+    standingsSeasonSelect.addEventListener('change', () => {
+        recordStandings();
+        loadStandings();
+    });
+    standingsGroupSelect.addEventListener('change', () => {
+        recordStandings();
+        if (currentStandings) displayStandings();
+    });
+
+    // --- Leaderboards ---
+    const leaderStatSelect = document.getElementById('leader-stat-select');
+    const leaderModeSelect = document.getElementById('leader-mode-select');
+    const leaderMinGamesInput = document.getElementById('leader-min-games-input');
+    const leaderSearchButton = document.getElementById('leader-search-button');
+    const leadersResultsContainer = document.getElementById('leaders-results-container');
+
+    // Columns always shown on the leaderboard. `stat` is the /api/leaders stat a header click ranks by.
+    const LEADER_COLUMNS = [
+        { stat: 'PTS', label: 'PTS' },
+        { stat: 'REB', label: 'REB' },
+        { stat: 'AST', label: 'AST' },
+        { stat: 'STL', label: 'STL' },
+        { stat: 'BLK', label: 'BLK' },
+        { stat: 'TOV', label: 'TOV' },
+        { stat: 'MIN', label: 'MIN' },
+        { stat: 'FG_PCT', label: 'FG%', key: 'FG_PCT' },
+        { stat: '3P_PCT', label: '3P%', key: '3P_PCT' },
+        { stat: 'FT_PCT', label: 'FT%', key: 'FT_PCT' },
+        { stat: 'TS_PCT', label: 'TS%', key: 'TS_PCT' },
+        { stat: 'EFG_PCT', label: 'eFG%', key: 'EFG_PCT' },
+        { stat: 'AST_TOV', label: 'AST/TO', key: 'AST_TOV', digits: 2 },
+    ];
+
+    // The leaderboard currently shown, so header clicks and paging keep the other settings
+    const leaderState = { stat: 'PTS', order: 'desc', page: 1 };
+
+    /**
+     * Fetches one page of the leaderboard for the current controls and global filters.
+     */
+    const loadLeaders = async () => {
+        recordView('leaders', {
+            stat: leaderState.stat,
+            mode: leaderModeSelect.value,
+            order: leaderState.order,
+            minGames: leaderMinGamesInput.value,
+            page: leaderState.page
+        });
+
+        const params = new URLSearchParams(getFilterQuery());
+        params.set('stat', leaderState.stat);
+        params.set('mode', leaderModeSelect.value);
+        params.set('order', leaderState.order);
+        params.set('minGames', leaderMinGamesInput.value || '1');
+        params.set('page', leaderState.page);
+
+        loadingIndicator.classList.remove('hidden');
+        leadersResultsContainer.innerHTML = '';
+
+        try {
+            const url = `/api/leaders?${params}`;
+            const data = await fetchJson(url, 'Could not load the leaderboard.');
+            displayLeaders(data, url);
+        } catch (error) {
+            showError(leadersResultsContainer, error);
+        } finally {
+            loadingIndicator.classList.add('hidden');
+        }
+    };
+
+    /**
+     * Starts a new leaderboard from the first page with the selected stat.
+     */
+    const searchLeaders = () => {
+        leaderState.stat = leaderStatSelect.value;
+        leaderState.order = 'desc';
+        leaderState.page = 1;
+        loadLeaders();
+    };
+
+    leaderSearchButton.addEventListener('click', searchLeaders);
+    leaderStatSelect.addEventListener('change', searchLeaders);
+    leaderModeSelect.addEventListener('change', searchLeaders);
+
+    /**
+     * Displays a leaderboard page. Headers re-rank on the server, and rows open the player card.
+     * @param {object} data - The leaderboard object from the API.
+     * @param {string} url - The API URL the page was loaded from.
+     */
+    function displayLeaders(data, url) {
+        const prefix = data.mode === 'totals' ? 'total' : 'avg';
+        const columns = LEADER_COLUMNS.map(({ stat, label, key, digits }) => ({
+            stat,
+            label,
+            key: key || `${prefix}${stat}`,
+            format: v => formatStat(v, digits !== undefined ? digits : (data.mode === 'totals' && !key ? 0 : 1))
+        }));
+
+        // Stats without a fixed column (e.g. 3PM or PTS/36) get their own ranked column
+        if (!columns.some(column => column.stat === data.stat)) {
+            columns.push({
+                stat: data.stat,
+                label: leaderStatSelect.querySelector(`option[value="${data.stat}"]`).textContent,
+                key: 'rankedValue',
+                format: v => formatStat(v, 1)
+            });
+        }
+
+        const rankedColumn = columns.find(column => column.stat === data.stat);
+        const table = createSortableTable([
+            { key: 'rank', label: '#' },
+            { key: 'player', label: 'Player' },
+            { key: 'teams', label: 'Teams', format: teams => teams.join(', ') },
+            { key: 'gamesPlayed', label: 'GP' },
+            ...columns
+        ], data.leaders.map(row => ({ ...row, rankedValue: rankedValue(row, data.stat, data.mode) })), {
+            sortKey: rankedColumn.key,
+            sortAsc: data.order === 'asc',
+            onSort: (key) => {
+                const column = columns.find(c => c.key === key);
+                // Rank, name, teams and games played aren't leaderboard stats
+                if (!column) return;
+                // Rank from the top first, then toggle to the bottom on a second click
+                leaderState.order = column.stat === leaderState.stat && leaderState.order === 'desc' ? 'asc' : 'desc';
+                leaderState.stat = column.stat;
+                leaderState.page = 1;
+                leaderStatSelect.value = column.stat;
+                loadLeaders();
+            },
+            onRowClick: (row) => {
+                loadPlayerById(row.playerId, row.player);
+                document.getElementById('player-search-column').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        });
+
+        const pager = createPager(data, 'qualified players', 'No players qualify. Try lowering the minimum games.', (page) => {
+            leaderState.page = page;
+            loadLeaders();
+        });
+
+        leadersResultsContainer.append(table, pager, createDownloadLinks(url));
+    }
+
+    /**
+     * Builds Previous/Next controls for a paginated API response.
+     * @param {{page: number, totalPages: number, total: number}} data - The paging fields of the response.
+     * @param {string} noun - What is being counted, e.g. "games".
+     * @param {string} emptyMessage - The message to show when nothing matched.
+     * @param {function} onPage - Called with the page number to load.
+     * @returns {HTMLElement} The pager.
+     */
+    function createPager(data, noun, emptyMessage, onPage) {
+        const pager = document.createElement('div');
+        pager.className = 'pager';
+        const prev = document.createElement('button');
+        prev.className = 'match-chip';
+        prev.textContent = 'Previous';
+        prev.disabled = data.page <= 1;
+        prev.addEventListener('click', () => onPage(data.page - 1));
+        const next = document.createElement('button');
+        next.className = 'match-chip';
+        next.textContent = 'Next';
+        next.disabled = data.page >= data.totalPages;
+        next.addEventListener('click', () => onPage(data.page + 1));
+        const info = document.createElement('span');
+        info.className = 'muted-note';
+        info.textContent = data.total === 0
+            ? emptyMessage
+            : `Page ${data.page} of ${data.totalPages} (${data.total} ${noun})`;
+        pager.append(prev, info, next);
+        return pager;
+    }
+
+    // --- Game Finder ---
+    const finderSourceSelect = document.getElementById('finder-source-select');
+    const finderPlayerField = document.getElementById('finder-player-field');
+    const finderPlayerInput = document.getElementById('finder-player-input');
+    const finderTeamInput = document.getElementById('finder-team-input');
+    const finderOpponentInput = document.getElementById('finder-opponent-input');
+    const finderVenueSelect = document.getElementById('finder-venue-select');
+    const finderResultSelect = document.getElementById('finder-result-select');
+    const finderConditions = document.getElementById('finder-conditions');
+    const finderSortSelect = document.getElementById('finder-sort-select');
+    const finderOrderSelect = document.getElementById('finder-order-select');
+    const finderResultsContainer = document.getElementById('finder-results-container');
+
+    const FINDER_OPERATORS = [['gte', '≥'], ['gt', '>'], ['lte', '≤'], ['lt', '<'], ['eq', '=']];
+
+    finderPlayerInput.addEventListener('input', () => { delete finderPlayerInput.dataset.playerId; });
+    attachPlayerAutocomplete(finderPlayerInput, ({ playerId }) => { finderPlayerInput.dataset.playerId = playerId; });
+
+    // Player games are the only ones with a player to pick
+    finderSourceSelect.addEventListener('change', () => {
+        finderPlayerField.classList.toggle('hidden', finderSourceSelect.value !== 'players');
+    });
+
+    /**
+     * Adds a "stat operator value" row to the finder form.
+     * @returns {HTMLElement} The new row.
+     */
+    const addFinderCondition = () => {
+        const row = document.createElement('div');
+        row.className = 'finder-condition';
+
+        const statSelect = document.createElement('select');
+        // Same stats as the sort options, minus "Date"
+        [...finderSortSelect.options].slice(1).forEach(option => statSelect.add(new Option(option.text, option.value)));
+        statSelect.value = 'PTS';
+        const operatorSelect = document.createElement('select');
+        FINDER_OPERATORS.forEach(([value, label]) => operatorSelect.add(new Option(label, value)));
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.placeholder = 'e.g. 40';
+        const removeButton = document.createElement('button');
+        removeButton.className = 'match-chip';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => row.remove());
+
+        row.append(statSelect, operatorSelect, valueInput, removeButton);
+        finderConditions.appendChild(row);
+        return row;
+    };
+
+    document.getElementById('finder-add-condition-button').addEventListener('click', () => addFinderCondition());
+    addFinderCondition();
+
+    /**
+     * Runs the game finder with the form's criteria and the global filters.
+     * @param {number} [page=1] - The page to load.
+     */
+    const searchFinder = async (page = 1) => {
+        const params = new URLSearchParams(getFilterQuery());
+        const source = finderSourceSelect.value;
+        params.set('source', source);
+
+        const player = finderPlayerInput.dataset.playerId || finderPlayerInput.value.trim();
+        if (source === 'players' && player) params.set('player', player);
+        if (finderTeamInput.value.trim()) params.set('team', finderTeamInput.value.trim());
+        if (finderOpponentInput.value.trim()) params.set('opponent', finderOpponentInput.value.trim());
+        if (finderVenueSelect.value) params.set('venue', finderVenueSelect.value);
+        if (finderResultSelect.value) params.set('result', finderResultSelect.value);
+        const conditions = [...finderConditions.querySelectorAll('.finder-condition')].flatMap(row => {
+            const [statSelect, operatorSelect] = row.querySelectorAll('select');
+            const value = row.querySelector('input').value;
+            return value === '' ? [] : [`${statSelect.value}:${operatorSelect.value}:${value}`];
+        });
+        conditions.forEach(condition => params.append('stat', condition));
+        params.set('sort', finderSortSelect.value);
+        params.set('order', finderOrderSelect.value);
+        params.set('page', page);
+
+        recordView('finder', {
+            source,
+            player: params.get('player'),
+            // A picked suggestion is sent as its playerId; the name is kept for the input box
+            playerName: finderPlayerInput.dataset.playerId ? finderPlayerInput.value.trim() : null,
+            team: params.get('team'),
+            opponent: params.get('opponent'),
+            venue: params.get('venue'),
+            result: params.get('result'),
+            stat: conditions,
+            sort: finderSortSelect.value,
+            order: finderOrderSelect.value,
+            page
+        });
+
+        loadingIndicator.classList.remove('hidden');
+        finderResultsContainer.innerHTML = '';
+
+        try {
+            const url = `/api/finder?${params}`;
+            const data = await fetchJson(url, 'Could not search games.');
+            displayFinderResults(data, url);
+        } catch (error) {
+            showError(finderResultsContainer, error);
+        } finally {
+            loadingIndicator.classList.add('hidden');
+        }
+    };
+
+    document.getElementById('finder-search-button').addEventListener('click', () => searchFinder());
+
+    /**
+     * Displays a page of game finder results. Rows open the game's box score.
+     * @param {object} data - The finder response from the API.
+     * @param {string} url - The API URL the page was loaded from.
+     */
+    function displayFinderResults(data, url) {
+        const rows = data.games.map(game => ({
+            ...game,
+            date: game.date.slice(0, 10),
+            opponent: `${game.home === game.team ? 'vs' : '@'} ${game.home === game.team ? game.away : game.home}`,
+            result: game.win ? 'W' : 'L',
+        }));
+
+        const table = createSortableTable([
+            { key: 'date', label: 'Date' },
+            ...(data.source === 'players' ? [{ key: 'player', label: 'Player' }] : []),
+            { key: 'team', label: 'Team' },
+            { key: 'opponent', label: 'Opp' },
+            { key: 'result', label: 'W/L' },
+            { key: 'MIN', label: 'MIN' },
+            { key: 'PTS', label: 'PTS' },
+            { key: 'REB', label: 'REB' },
+            { key: 'AST', label: 'AST' },
+            { key: 'STL', label: 'STL' },
+            { key: 'BLK', label: 'BLK' },
+            { key: 'TOV', label: 'TOV' },
+            { key: 'FGM', label: 'FGM' },
+            { key: 'FGA', label: 'FGA' },
+            { key: '3PM', label: '3PM' },
+            { key: '3PA', label: '3PA' },
+            { key: 'FTM', label: 'FTM' },
+            { key: 'FTA', label: 'FTA' },
+            { key: 'PLUS_MINUS', label: '+/-' },
+        ], rows, {
+            sortKey: finderSortSelect.value,
+            sortAsc: finderOrderSelect.value === 'asc',
+            // Sorting has to happen on the server, since only one page is loaded
+            onSort: (key) => {
+                if (![...finderSortSelect.options].some(option => option.value === key)) return;
+                finderOrderSelect.value = finderSortSelect.value === key && finderOrderSelect.value === 'desc' ? 'asc' : 'desc';
+                finderSortSelect.value = key;
+                searchFinder();
+            },
+            onRowClick: row => loadGame(row.gameId)
+        });
+
+        const pager = createPager(data, 'games', 'No games match these conditions.', searchFinder);
+        finderResultsContainer.append(table, pager, createDownloadLinks(url));
     }
+
+    // --- Player Rivalry Feature ---
+    const playerRivalryP1Input = document.getElementById('player-rivalry-p1-input');
+    const playerRivalryP2Input = document.getElementById('player-rivalry-p2-input');
+    const playerRivalrySearchButton = document.getElementById('player-rivalry-search-button');
+    const playerRivalryResultsContainer = document.getElementById('player-rivalry-results-container');
+    const playerRivalryModeSelect = document.getElementById('player-rivalry-mode-select');
+
+    // Remember the exact playerId picked from the suggestions until the text is edited again
+    [playerRivalryP1Input, playerRivalryP2Input].forEach(input => {
+        input.addEventListener('input', () => { delete input.dataset.playerId; });
+        attachPlayerAutocomplete(input, ({ playerId }) => { input.dataset.playerId = playerId; });
+    });
+
+    // The search button reads "VS" for head-to-heads and "&" for games as teammates
+    const showPlayerRivalryMode = () => {
+        playerRivalrySearchButton.textContent = playerRivalryModeSelect.value === 'teammates' ? '&' : 'VS';
+    };
+
+    /**
+     * Opens two players' games as teammates in the Player Rivalry section, e.g. from a row of a player's teammates.
+     * @param {{playerId: number, player: string}} player1 - The first player.
+     * @param {{playerId: number, player: string}} player2 - The second player.
+     */
+    const openTeammatePair = (player1, player2) => {
+        // Filled as if both were picked from the suggestions, so the search uses their playerIds
+        [[playerRivalryP1Input, player1], [playerRivalryP2Input, player2]].forEach(([input, { playerId, player }]) => {
+            input.value = player;
+            input.dataset.playerId = playerId;
+        });
+        playerRivalryModeSelect.value = 'teammates';
+        showPlayerRivalryMode();
+        searchPlayerMatchup();
+        document.getElementById('player-rivalry-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+
+    const searchPlayerMatchup = async () => {
+        // The matchup and teammates routes accept either names or numeric playerIds
+        const p1 = playerRivalryP1Input.dataset.playerId || playerRivalryP1Input.value.trim();
+        const p2 = playerRivalryP2Input.dataset.playerId || playerRivalryP2Input.value.trim();
+        const teammates = playerRivalryModeSelect.value === 'teammates';
+
+        if (!p1 || !p2) {
+            showError(playerRivalryResultsContainer, 'Please enter both player names.');
+            return;
+        }
+        recordView('player-matchup', {
+            p1,
+            p2,
+            p1Name: playerRivalryP1Input.dataset.playerId ? playerRivalryP1Input.value.trim() : null,
+            p2Name: playerRivalryP2Input.dataset.playerId ? playerRivalryP2Input.value.trim() : null,
+            mode: teammates ? 'teammates' : null
+        });
+
+        loadingIndicator.classList.remove('hidden');
+        playerRivalryResultsContainer.innerHTML = '';
+
+        try {
+            const route = teammates ? 'teammates' : 'matchup';
+            const url = `/api/players/${route}/${encodeURIComponent(p1)}/${encodeURIComponent(p2)}${getFilterQuery()}`;
+            const data = await fetchJson(url, 'Player matchup not found.');
+            if (teammates) displayPlayerTeammates(data, url);
+            else displayPlayerMatchup(data, url);
+        } catch (error) {
+            showError(playerRivalryResultsContainer, error);
+        } finally {
+            loadingIndicator.classList.add('hidden');
+        }
+    };
+
+    playerRivalrySearchButton.addEventListener('click', searchPlayerMatchup);
+    playerRivalryModeSelect.addEventListener('change', () => {
+        showPlayerRivalryMode();
+        if (playerRivalryP1Input.value.trim() && playerRivalryP2Input.value.trim()) searchPlayerMatchup();
+    });
+    [playerRivalryP1Input, playerRivalryP2Input].forEach(input => {
+        input.addEventListener('keyup', (event) => {
+            if (event.key === 'Enter') {
+                searchPlayerMatchup();
+            }
+        });
+    });
+
+    /**
+     * Displays a player-vs-player head-to-head: wins, averages side by side and the game list.
+     * @param {object} data - The player matchup object from the API.
+     * @param {string} url - The API URL the matchup was loaded from.
+     */
+    function displayPlayerMatchup(data, url) {
+        const { player1, player2 } = data;
+        const banner = document.createElement('div');
+        banner.className = 'matchup-banner';
+
+        if (data.gamesPlayed === 0) {
+            banner.innerHTML = `<p>${player1.player} and ${player2.player} never played against each other.</p>`;
+            playerRivalryResultsContainer.appendChild(banner);
+            return;
+        }
+
+        const comparedStats = [
+            ['Points', 'avgPTS'], ['Rebounds', 'avgREB'], ['Assists', 'avgAST'],
+            ['Steals', 'avgSTL'], ['Blocks', 'avgBLK'], ['Minutes', 'avgMIN'],
+        ];
+
+        banner.innerHTML = `
+            <div class="score-board">
+                <div class="team-score">
+                    <img src="${headshotUrl(player1.playerId)}" class="matchup-logo matchup-headshot" alt="">
+                    <h3>${player1.wins}</h3>
+                    <span>${player1.player}</span>
+                </div>
+                <div class="score-divider">-</div>
+                <div class="team-score">
+                    <img src="${headshotUrl(player2.playerId)}" class="matchup-logo matchup-headshot" alt="">
+                    <h3>${player2.wins}</h3>
+                    <span>${player2.player}</span>
+                </div>
+            </div>
+            <p class="muted-note">${data.gamesPlayed} games against each other</p>
+            <div class="head-to-head-stats">
+                ${comparedStats.map(([label, key]) => `
+                    <div class="h2h-stat-row">
+                        <span class="${player1[key] >= player2[key] ? 'h2h-leader' : ''}">${player1[key].toFixed(1)}</span>
+                        <strong>${label}</strong>
+                        <span class="${player2[key] >= player1[key] ? 'h2h-leader' : ''}">${player2[key].toFixed(1)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const gamesHeader = document.createElement('h4');
+        gamesHeader.textContent = 'Games';
+        const rows = data.games.map(game => ({
+            gameId: game.gameId,
+            date: game.date.slice(0, 10),
+            type: game.type === 'playoff' ? 'Playoffs' : 'Regular',
+            matchup: `${game.away} @ ${game.home}`,
+            p1PTS: game.player1.PTS,
+            p1REB: game.player1.REB,
+            p1AST: game.player1.AST,
+            p2PTS: game.player2.PTS,
+            p2REB: game.player2.REB,
+            p2AST: game.player2.AST,
+            winner: game.player1.win ? player1.player : player2.player,
+        }));
+        const lastName = name => name.split(' ').slice(-1)[0];
+        const gamesTable = createSortableTable([
+            { key: 'date', label: 'Date' },
+            { key: 'type', label: 'Type' },
+            { key: 'matchup', label: 'Matchup' },
+            { key: 'p1PTS', label: `${lastName(player1.player)} PTS` },
+            { key: 'p1REB', label: 'REB' },
+            { key: 'p1AST', label: 'AST' },
+            { key: 'p2PTS', label: `${lastName(player2.player)} PTS` },
+            { key: 'p2REB', label: 'REB' },
+            { key: 'p2AST', label: 'AST' },
+            { key: 'winner', label: 'Winner' },
+        ], rows, { onRowClick: row => loadGame(row.gameId) });
+
+        banner.append(gamesHeader, gamesTable, createDownloadLinks(url));
+        playerRivalryResultsContainer.appendChild(banner);
+    }
+
+    /**
+     * Displays two players as teammates: their record together, averages side by side and the game list.
+     * @param {object} data - The teammates object from the API.
+     * @param {string} url - The API URL the pair was loaded from.
+     */
+    function displayPlayerTeammates(data, url) {
+        const { player1, player2 } = data;
+        const banner = document.createElement('div');
+        banner.className = 'matchup-banner';
+
+        if (data.gamesPlayed === 0) {
+            banner.innerHTML = `<p>${player1.player} and ${player2.player} never played together.</p>`;
+            playerRivalryResultsContainer.appendChild(banner);
+            return;
+        }
+
+        const comparedStats = [
+            ['Points', 'avgPTS'], ['Rebounds', 'avgREB'], ['Assists', 'avgAST'],
+            ['Steals', 'avgSTL'], ['Blocks', 'avgBLK'], ['Minutes', 'avgMIN'],
+        ];
+
+        banner.innerHTML = `
+            <div class="score-board">
+                <div class="team-score">
+                    <img src="${headshotUrl(player1.playerId)}" class="matchup-logo matchup-headshot" alt="">
+                    <span>${player1.player}</span>
+                </div>
+                <div class="team-score">
+                    <h3>${data.wins}-${data.losses}</h3>
+                    <span>${formatStat(data.winPct * 100, 1)}% together</span>
+                </div>
+                <div class="team-score">
+                    <img src="${headshotUrl(player2.playerId)}" class="matchup-logo matchup-headshot" alt="">
+                    <span>${player2.player}</span>
+                </div>
+            </div>
+            <p class="muted-note">${data.gamesPlayed} games as teammates (${data.teams.join(', ')}), ${data.combinedPTS.toFixed(1)} combined points per game</p>
+            <div class="head-to-head-stats">
+                ${comparedStats.map(([label, key]) => `
+                    <div class="h2h-stat-row">
+                        <span>${player1[key].toFixed(1)}</span>
+                        <strong>${label}</strong>
+                        <span>${player2[key].toFixed(1)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const gamesHeader = document.createElement('h4');
+        gamesHeader.textContent = 'Games';
+        const rows = data.games.map(game => ({
+            gameId: game.gameId,
+            date: game.date.slice(0, 10),
+            type: game.type === 'playoff' ? 'Playoffs' : 'Regular',
+            matchup: `${game.away} @ ${game.home}`,
+            result: game.win ? 'W' : 'L',
+            p1PTS: game.player1.PTS,
+            p1REB: game.player1.REB,
+            p1AST: game.player1.AST,
+            p2PTS: game.player2.PTS,
+            p2REB: game.player2.REB,
+            p2AST: game.player2.AST,
+            combinedPTS: game.combinedPTS,
+        }));
+        const lastName = name => name.split(' ').slice(-1)[0];
+        const gamesTable = createSortableTable([
+            { key: 'date', label: 'Date' },
+            { key: 'type', label: 'Type' },
+            { key: 'matchup', label: 'Matchup' },
+            { key: 'result', label: 'Result' },
+            { key: 'p1PTS', label: `${lastName(player1.player)} PTS` },
+            { key: 'p1REB', label: 'REB' },
+            { key: 'p1AST', label: 'AST' },
+            { key: 'p2PTS', label: `${lastName(player2.player)} PTS` },
+            { key: 'p2REB', label: 'REB' },
+            { key: 'p2AST', label: 'AST' },
+            { key: 'combinedPTS', label: 'Combined PTS' },
+        ], rows, { onRowClick: row => loadGame(row.gameId) });
+
+        banner.append(gamesHeader, gamesTable, createDownloadLinks(url));
+        playerRivalryResultsContainer.appendChild(banner);
+    }
+
+    // --- Player Comparison ---
+    const compareInputs = document.getElementById('compare-inputs');
+    const compareAddPlayerButton = document.getElementById('compare-add-player-button');
+    const compareResultsContainer = document.getElementById('compare-results-container');
+
+    const MAX_COMPARED_PLAYERS = 4;
+    // One colour per compared player, shared by the chart, the legend and the tables
+    const COMPARE_COLORS = ['#3b82f6', '#ef4444', '#22c55e', '#f59e0b'];
+    // [label, key, decimal places, whether lower is better]
+    const COMPARE_STATS = [
+        ['Games', 'gamesPlayed', 0],
+        ['Minutes', 'avgMIN', 1],
+        ['Points', 'avgPTS', 1],
+        ['Rebounds', 'avgREB', 1],
+        ['Assists', 'avgAST', 1],
+        ['Steals', 'avgSTL', 1],
+        ['Blocks', 'avgBLK', 1],
+        ['Turnovers', 'avgTOV', 1, true],
+        ['FG %', 'FG_PCT', 1],
+        ['3P %', '3P_PCT', 1],
+        ['FT %', 'FT_PCT', 1],
+        ['TS %', 'TS_PCT', 1],
+        ['eFG %', 'EFG_PCT', 1],
+        ['AST/TO', 'AST_TOV', 2],
+        ['PTS / 36', 'PTS_PER36', 1],
+        ['REB / 36', 'REB_PER36', 1],
+        ['AST / 36', 'AST_PER36', 1],
+    ];
+    // The axes of the career chart
+    const COMPARE_CHART_STATS = [['PTS', 'avgPTS'], ['REB', 'avgREB'], ['AST', 'avgAST'], ['STL', 'avgSTL'], ['BLK', 'avgBLK'], ['TS%', 'TS_PCT']];
+
+    /**
+     * Adds a player input to the comparison, up to the maximum the API accepts.
+     * @returns {HTMLInputElement|null} The new input, or null if the comparison is full.
+     */
+    const addComparePlayerInput = () => {
+        const count = compareInputs.querySelectorAll('input').length;
+        if (count >= MAX_COMPARED_PLAYERS) return null;
+
+        const field = document.createElement('div');
+        field.className = 'filter-field';
+        const label = document.createElement('label');
+        label.textContent = `Player ${count + 1}`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Pick a player';
+        input.autocomplete = 'off';
+        input.maxLength = 50;
+        field.append(label, input);
+        compareInputs.appendChild(field);
+
+        // The comparison works on exact playerIds, so only picked suggestions count
+        input.addEventListener('input', () => { delete input.dataset.playerId; });
+        attachPlayerAutocomplete(input, ({ playerId }) => { input.dataset.playerId = playerId; });
+        input.addEventListener('keyup', (event) => {
+            if (event.key === 'Enter') searchComparison();
+        });
+
+        compareAddPlayerButton.disabled = count + 1 >= MAX_COMPARED_PLAYERS;
+        return input;
+    };
+
+    /**
+     * Puts a player into the first free comparison slot (adding one if needed) and scrolls to it.
+     * @param {number} playerId - The player's ID.
+     * @param {string} playerName - The player's name.
+     */
+    const addPlayerToComparison = (playerId, playerName) => {
+        const inputs = [...compareInputs.querySelectorAll('input')];
+        const input = inputs.find(candidate => !candidate.dataset.playerId) || addComparePlayerInput() || inputs[inputs.length - 1];
+        input.value = playerName;
+        input.dataset.playerId = playerId;
+        document.getElementById('compare-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+
+    const searchComparison = async () => {
+        const inputs = [...compareInputs.querySelectorAll('input')].filter(input => input.value.trim());
+        if (inputs.length < 2 || inputs.some(input => !input.dataset.playerId)) {
+            showError(compareResultsContainer, 'Pick at least two players from the suggestions.');
+            return;
+        }
+
+        const params = new URLSearchParams(getFilterQuery());
+        params.set('ids', inputs.map(input => input.dataset.playerId).join(','));
+        recordView('compare', { ids: params.get('ids') });
+
+        loadingIndicator.classList.remove('hidden');
+        compareResultsContainer.innerHTML = '';
+
+        try {
+            const url = `/api/players/compare?${params}`;
+            const data = await fetchJson(url, 'Could not compare these players.');
+            displayComparison(data, url);
+        } catch (error) {
+            showError(compareResultsContainer, error);
+        } finally {
+            loadingIndicator.classList.add('hidden');
+        }
+    };
+
+    compareAddPlayerButton.addEventListener('click', () => {
+        const input = addComparePlayerInput();
+        if (input) input.focus();
+    });
+    document.getElementById('compare-search-button').addEventListener('click', searchComparison);
+    addComparePlayerInput();
+    addComparePlayerInput();
+
+    /**
+     * Displays a comparison: a legend, the career chart, the career table and the per-season table.
+     * @param {object} data - The comparison object from the API.
+     * @param {string} url - The API URL the comparison was loaded from.
+     */
+    function displayComparison(data, url) {
+        // A restored link only has the playerIds, so the inputs get the names from the response
+        data.players.forEach(player => {
+            const input = [...compareInputs.querySelectorAll('input')].find(candidate => candidate.dataset.playerId === String(player.playerId));
+            if (input) input.value = player.player;
+        });
+
+        const banner = document.createElement('div');
+        banner.className = 'matchup-banner';
+
+        const legend = document.createElement('div');
+        legend.className = 'compare-legend';
+        data.players.forEach((player, index) => {
+            const item = document.createElement('div');
+            item.className = 'compare-legend-item';
+            item.innerHTML = `<span class="compare-swatch" style="background: ${COMPARE_COLORS[index]}"></span><strong></strong><span class="muted-note"></span>`;
+            item.querySelector('strong').textContent = player.player;
+            item.querySelector('.muted-note').textContent = `${player.career.gamesPlayed} GP · ${[...new Set(player.teams)].sort().join(', ')}`;
+            legend.appendChild(item);
+        });
+
+        const seasonsHeader = document.createElement('h4');
+        seasonsHeader.textContent = 'By Season';
+
+        banner.append(
+            legend,
+            createComparisonChart(data.players),
+            createComparisonCareerTable(data.players),
+            seasonsHeader,
+            createComparisonSeasonTable(data),
+            createDownloadLinks(url)
+        );
+        compareResultsContainer.appendChild(banner);
+    }
+
+    /**
+     * Draws the players' career averages as a radar chart. Each axis is scaled to the best
+     * player on that stat, so the chart shows relative strengths rather than raw numbers.
+     * @param {Array<object>} players - The compared players from the API.
+     * @returns {HTMLElement} The chart.
+     */
+    function createComparisonChart(players) {
+        const size = 320;
+        const center = size / 2;
+        const radius = 110;
+        const axisCount = COMPARE_CHART_STATS.length;
+        const point = (axis, scale) => {
+            const angle = (Math.PI * 2 * axis) / axisCount - Math.PI / 2;
+            return [center + Math.cos(angle) * radius * scale, center + Math.sin(angle) * radius * scale];
+        };
+        const polygon = scales => scales.map((scale, axis) => point(axis, scale).map(v => v.toFixed(1)).join(',')).join(' ');
+
+        const rings = [0.25, 0.5, 0.75, 1].map(scale =>
+            `<polygon points="${polygon(COMPARE_CHART_STATS.map(() => scale))}" fill="none" stroke="rgba(255,255,255,0.12)"/>`);
+        const axes = COMPARE_CHART_STATS.map(([label], axis) => {
+            const [x, y] = point(axis, 1);
+            const [lx, ly] = point(axis, 1.18);
+            return `<line x1="${center}" y1="${center}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}" stroke="rgba(255,255,255,0.12)"/>
+                <text x="${lx.toFixed(1)}" y="${ly.toFixed(1)}" text-anchor="middle" dominant-baseline="middle">${label}</text>`;
+        });
+        const maxima = COMPARE_CHART_STATS.map(([, key]) => Math.max(...players.map(player => player.career[key] || 0)));
+        const shapes = players.map((player, index) => {
+            const scales = COMPARE_CHART_STATS.map(([, key], axis) => (maxima[axis] > 0 ? (player.career[key] || 0) / maxima[axis] : 0));
+            return `<polygon points="${polygon(scales)}" fill="${COMPARE_COLORS[index]}" fill-opacity="0.15" stroke="${COMPARE_COLORS[index]}" stroke-width="2"/>`;
+        });
+
+        const chart = document.createElement('div');
+        chart.className = 'compare-chart';
+        chart.innerHTML = `<svg viewBox="0 0 ${size} ${size}" role="img" aria-label="Career averages compared">${rings.join('')}${axes.join('')}${shapes.join('')}</svg>`;
+        return chart;
+    }
+
+    /**
+     * Builds the career table, one column per player, with the best value of each row highlighted.
+     * @param {Array<object>} players - The compared players from the API.
+     * @returns {HTMLElement} A scrollable wrapper containing the table.
+     */
+    function createComparisonCareerTable(players) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-wrapper';
+        const table = document.createElement('table');
+        table.className = 'data-table';
+
+        const headRow = document.createElement('tr');
+        headRow.appendChild(document.createElement('th'));
+        players.forEach((player, index) => {
+            const th = document.createElement('th');
+            th.textContent = player.player;
+            th.style.color = COMPARE_COLORS[index];
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+
+        const tbody = document.createElement('tbody');
+        COMPARE_STATS.forEach(([label, key, digits, lowerIsBetter]) => {
+            const values = players.map(player => player.career[key]);
+            const known = values.filter(value => value !== null && value !== undefined);
+            const best = known.length > 1 ? (lowerIsBetter ? Math.min(...known) : Math.max(...known)) : null;
+
+            const tr = document.createElement('tr');
+            const labelCell = document.createElement('td');
+            labelCell.className = 'text-cell';
+            labelCell.textContent = label;
+            tr.appendChild(labelCell);
+            values.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = formatStat(value, digits);
+                if (value === best) td.className = 'h2h-leader';
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        table.append(thead, tbody);
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    /**
+     * Builds the per-season table for one stat at a time, with a picker to switch stats.
+     * @param {object} data - The comparison object from the API.
+     * @returns {HTMLElement} The picker and the table.
+     */
+    function createComparisonSeasonTable(data) {
+        const container = document.createElement('div');
+        const controls = document.createElement('div');
+        controls.className = 'filter-field compare-season-field';
+        const label = document.createElement('label');
+        label.textContent = 'Stat';
+        const select = document.createElement('select');
+        COMPARE_STATS.forEach(([statLabel, key]) => select.add(new Option(statLabel, key)));
+        select.value = 'avgPTS';
+        controls.append(label, select);
+        const tableContainer = document.createElement('div');
+
+        const renderTable = () => {
+            const [, key, digits] = COMPARE_STATS.find(([, statKey]) => statKey === select.value);
+            // Seasons are aligned by the API, so row i of every player is the same season
+            const rows = data.seasons.map((season, row) => {
+                const cells = { season };
+                data.players.forEach((player, index) => {
+                    const stats = player.seasons[row];
+                    cells[`player${index}`] = stats ? stats[key] : null;
+                });
+                return cells;
+            });
+            tableContainer.innerHTML = '';
+            tableContainer.appendChild(createSortableTable([
+                { key: 'season', label: 'Season' },
+                ...data.players.map((player, index) => ({ key: `player${index}`, label: player.player, format: v => formatStat(v, digits) }))
+            ], rows));
+        };
+
+        select.addEventListener('change', renderTable);
+        renderTable();
+        container.append(controls, tableContainer);
+        return container;
+    }
+
+    function createMiniPlayer(player) {
+        return `
+            <div class="mini-player-item">
+                <img src="${headshotUrl(player.playerId)}" class="mini-player-img" alt="">
+                <div class="mini-player-info">
+                    <div>${player._id}</div>
+                    ${player.eras ? `<div class="mini-player-era">${player.eras.sort().join(', ')}</div>` : ''}
+                </div>
+                <div class="mini-player-stat">${player.avgPTS.toFixed(1)} PPG</div>
+            </div>
+        `;
+    }
+
+    // --- Restoring Deep Links ---
+
+    // The section each view's results appear in, scrolled to when a link is opened
+    const VIEW_SECTIONS = {
+        player: 'player-search-column',
+        team: 'team-search-column',
+        matchup: 'team-rivalry-section',
+        standings: 'standings-section',
+        leaders: 'leaders-section',
+        finder: 'finder-section',
+        'player-matchup': 'player-rivalry-section',
+        compare: 'compare-section',
+    };
+
+    /**
+     * Selects a value in a dropdown, or the fallback when the dropdown has no such option
+     * (e.g. a season that isn't in the database).
+     * @param {HTMLSelectElement} select - The dropdown.
+     * @param {string|null} value - The value from the link.
+     * @param {string} fallback - The value to select otherwise.
+     */
+    const setSelectValue = (select, value, fallback) => {
+        select.value = [...select.options].some(option => option.value === value) ? value : fallback;
+    };
+
+    /**
+     * Fills a player input from a link. `id` is set when the player was picked from the suggestions,
+     * and `name` is then the text that was in the input.
+     * @param {HTMLInputElement} input - The player input.
+     * @param {string|null} id - The playerId or typed name sent to the API.
+     * @param {string|null} name - The picked player's name.
+     */
+    const setPlayerInput = (input, id, name) => {
+        input.value = name || id || '';
+        if (name && id) input.dataset.playerId = id;
+        else delete input.dataset.playerId;
+    };
+
+    /**
+     * Opens the view in the page's link: the global filters and the view's inputs are set from it,
+     * and its search runs again without adding to the history.
+     * @returns {string|null} The view that was opened, or null for a link without one.
+     */
+    const restoreView = () => {
+        const params = new URLSearchParams(window.location.search);
+        const get = key => params.get(key) || '';
+        const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+        const view = params.get('view');
+
+        setSelectValue(seasonFromSelect, get('seasonFrom'), '');
+        setSelectValue(seasonToSelect, get('seasonTo'), '');
+        setSelectValue(gameTypeSelect, get('type'), 'all');
+        setSelectValue(teamScopeSelect, get('scope'), 'franchise');
+
+        restoringView = true;
+        try {
+            switch (view) {
+                case 'player':
+                    if (params.has('id')) {
+                        loadPlayerById(get('id'), get('name'));
+                    } else {
+                        playerNameInput.value = get('name');
+                        searchPlayer();
+                    }
+                    break;
+                case 'team':
+                    teamNameInput.value = get('team');
+                    setSelectValue(teamStatSelect, get('stat'), 'PTS');
+                    setSelectValue(teamModeSelect, get('mode'), 'perGame');
+                    teamMinGamesInput.value = get('minGames') || '1';
+                    if (teamNameInput.value) loadTeam(teamNameInput.value, page);
+                    else searchTeam();
+                    break;
+                case 'matchup':
+                    rivalryTeam1Input.value = get('team1');
+                    rivalryTeam2Input.value = get('team2');
+                    searchMatchup();
+                    break;
+                case 'game':
+                    loadGame(get('id'));
+                    break;
+                case 'standings':
+                    setSelectValue(standingsSeasonSelect, get('season'), standingsSeasonSelect.value);
+                    setSelectValue(standingsGroupSelect, get('group'), 'conference');
+                    loadStandings();
+                    break;
+                case 'leaders':
+                    setSelectValue(leaderStatSelect, get('stat'), 'PTS');
+                    setSelectValue(leaderModeSelect, get('mode'), 'perGame');
+                    leaderMinGamesInput.value = get('minGames') || '1';
+                    leaderState.stat = leaderStatSelect.value;
+                    leaderState.order = get('order') === 'asc' ? 'asc' : 'desc';
+                    leaderState.page = page;
+                    loadLeaders();
+                    break;
+                case 'finder':
+                    setSelectValue(finderSourceSelect, get('source'), 'players');
+                    finderPlayerField.classList.toggle('hidden', finderSourceSelect.value !== 'players');
+                    setPlayerInput(finderPlayerInput, get('player'), get('playerName'));
+                    finderTeamInput.value = get('team');
+                    finderOpponentInput.value = get('opponent');
+                    setSelectValue(finderVenueSelect, get('venue'), '');
+                    setSelectValue(finderResultSelect, get('result'), '');
+                    finderConditions.replaceChildren();
+                    params.getAll('stat').forEach(condition => {
+                        const [stat, operator, value] = condition.split(':');
+                        const row = addFinderCondition();
+                        const [statSelect, operatorSelect] = row.querySelectorAll('select');
+                        setSelectValue(statSelect, stat, 'PTS');
+                        setSelectValue(operatorSelect, operator, 'gte');
+                        row.querySelector('input').value = value;
+                    });
+                    if (!finderConditions.children.length) addFinderCondition();
+                    setSelectValue(finderSortSelect, get('sort'), finderSortSelect.options[0].value);
+                    setSelectValue(finderOrderSelect, get('order'), 'desc');
+                    searchFinder(page);
+                    break;
+                case 'player-matchup':
+                    setPlayerInput(playerRivalryP1Input, get('p1'), get('p1Name'));
+                    setPlayerInput(playerRivalryP2Input, get('p2'), get('p2Name'));
+                    setSelectValue(playerRivalryModeSelect, get('mode'), 'opponents');
+                    showPlayerRivalryMode();
+                    searchPlayerMatchup();
+                    break;
+                case 'compare': {
+                    const ids = get('ids').split(',').filter(Boolean).slice(0, MAX_COMPARED_PLAYERS);
+                    while (compareInputs.querySelectorAll('input').length < ids.length) addComparePlayerInput();
+                    compareInputs.querySelectorAll('input').forEach((input, index) => {
+                        // The ids stand in for the names until the comparison loads
+                        setPlayerInput(input, ids[index], ids[index]);
+                    });
+                    searchComparison();
+                    break;
+                }
+                default:
+                    return null;
+            }
+        } finally {
+            restoringView = false;
+        }
+
+        if (VIEW_SECTIONS[view]) {
+            document.getElementById(VIEW_SECTIONS[view]).scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        return view;
+    };
+
+    window.addEventListener('popstate', restoreView);
+
+    // A link's seasons can only be selected once the selectors have them. The standings show
+    // the latest season unless the link is to other standings.
+    seasonsLoaded.then(() => {
+        if (restoreView() !== 'standings') loadStandings();
+    });
 });
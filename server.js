@@ -6,256 +6,1364 @@ const path = require('path');
 
 const app = express();
 const port = process.env.PORT || 5001;
-const { MongoClient } = require('mongodb');
+const {
+    PLAYER_STAT_FIELDS,
+    TEAM_SCOPES,
+    LEADER_STATS,
+    GAME_STAT_FIELDS,
+    TREND_STATS,
+    TEAMMATE_SORTS,
+    buildGameFilter,
+    buildStatConditions,
+    buildDateFilter,
+} = require('./lib/pipelines');
+const { DATA_BACKENDS, openDataAccess } = require('./lib/data');
+const { DEFAULT_FIXTURE_DIR } = require('./lib/fixture-db');
+const { exportable } = require('./lib/export');
+const { sendError } = require('./lib/errors');
+const { parseSearchTerm, parseId } = require('./lib/validation');
+const { createResponseCache } = require('./lib/cache');
+const { DEFAULT_ASSET_DIR, createAssetStore, headshotPlaceholder, logoPlaceholder } = require('./lib/assets');
 
-const url = process.env.MONGO_URI;
-if (!url) {
-    console.error('Error: MONGO_URI is not defined in the .env file');
+// 'mongo' reads MONGO_URI; 'fixture' reads the JSON fixtures in FIXTURE_DIR and needs no database
+const backend = process.env.DATA_BACKEND || 'mongo';
+if (!DATA_BACKENDS.includes(backend)) {
+    console.error(`Error: DATA_BACKEND must be one of: ${DATA_BACKENDS.join(', ')}`);
+    process.exit(1);
+}
+if (backend === 'mongo' && !process.env.MONGO_URI) {
+    console.error('Error: MONGO_URI is not defined in the .env file (set DATA_BACKEND=fixture to run without a database)');
     process.exit(1);
 }
 
-const client = new MongoClient(url);
-const dbName = 'nba_db'; // Corrected database name
-
-let db;
+// The data-access functions from lib/data.js, set once the backend is open
+let store;
+let closeStore;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Caches API responses until import-data.js bumps the data version (CACHE_MAX_ENTRIES=0 turns it off)
+const cached = createResponseCache({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+    loadVersion: () => store.dataVersion()
+});
+
+// Headshots and logos from ASSET_DIR; missing ones are only downloaded from the NBA CDN with ASSET_DOWNLOAD=true
+const assets = createAssetStore({
+    dir: process.env.ASSET_DIR || DEFAULT_ASSET_DIR,
+    download: process.env.ASSET_DOWNLOAD === 'true'
+});
+
+/**
+ * Reads the `scope` query parameter of the team routes.
+ * @param {object} query - The request's query parameters.
+ * @returns {{scope: string, error: string|null}} The scope ('franchise' by default), or an error message.
+ */
+function parseTeamScope(query) {
+    const scope = query.scope || 'franchise';
+    if (!TEAM_SCOPES.includes(scope)) {
+        return { scope, error: `"scope" must be one of: ${TEAM_SCOPES.join(', ')}.` };
+    }
+    return { scope, error: null };
+}
+
+// The largest page any paginated route returns
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reads the `page` and `limit` query parameters of the paginated routes.
+ * @param {object} query - The request's query parameters.
+ * @param {number} defaultLimit - The page size when none is given.
+ * @returns {{page: number, limit: number, error: string|null}} The page (1 by default) and page size, or an error message.
+ */
+function parsePaging(query, defaultLimit) {
+    const page = parseInt(query.page || '1', 10);
+    const limit = parseInt(query.limit || String(defaultLimit), 10);
+    if (Number.isNaN(page) || page < 1 || Number.isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { page, limit, error: `"page" must be 1 or more and "limit" between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+    return { page, limit, error: null };
+}
+
+/**
+ * Reads the ranking parameters shared by the leaderboard and a team's top players:
+ * stat (default PTS), mode (perGame|totals), order (desc|asc), minGames, page and limit.
+ * @param {object} query - The request's query parameters.
+ * @param {number} defaultLimit - The page size when none is given.
+ * @returns {{ranking: object, error: string|null}} The parsed values (`order` as 'asc'/'desc'), or an error message.
+ */
+function parseRanking(query, defaultLimit) {
+    const { stat = 'PTS', mode = 'perGame', order = 'desc' } = query;
+    const minGames = parseInt(query.minGames || '1', 10);
+    const { page, limit, error: pagingError } = parsePaging(query, defaultLimit);
+    const ranking = { stat, mode, order, minGames, page, limit };
+
+    if (!LEADER_STATS.includes(stat)) {
+        return { ranking, error: `"stat" must be one of: ${LEADER_STATS.join(', ')}.` };
+    }
+    if (!['perGame', 'totals'].includes(mode)) {
+        return { ranking, error: '"mode" must be "perGame" or "totals".' };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return { ranking, error: '"order" must be "asc" or "desc".' };
+    }
+    if (Number.isNaN(minGames) || minGames < 1) {
+        return { ranking, error: '"minGames" must be a positive number.' };
+    }
+    if (pagingError) {
+        return { ranking, error: pagingError };
+    }
+    return { ranking, error: null };
+}
+
+/**
+ * Turns parsed ranking parameters into the options of the ranking pipelines.
+ * @param {object} ranking - The ranking from parseRanking.
+ * @returns {object} The stat, mode, minGames, order (1 or -1), skip and limit.
+ */
+function rankingOptions({ stat, mode, order, minGames, page, limit }) {
+    return { stat, mode, minGames, order: order === 'asc' ? 1 : -1, skip: (page - 1) * limit, limit };
+}
+
+/**
+ * Adds ranks and paging to one page of a ranking pipeline's result.
+ * @param {object} ranking - The ranking from parseRanking.
+ * @param {Array<object>} rows - The page of ranked players, with the playerId as `_id`.
+ * @param {Array<{count: number}>} total - The `total` facet.
+ * @returns {{page: number, limit: number, total: number, totalPages: number, rows: Array<object>}} The page.
+ */
+function rankedPage({ page, limit }, rows, total) {
+    const count = total.length > 0 ? total[0].count : 0;
+    return {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+        rows: rows.map(({ _id, ...row }, index) => ({ rank: (page - 1) * limit + index + 1, playerId: _id, ...row }))
+    };
+}
+
+/**
+ * Summarizes a head-to-head game log: each side's wins overall, at home and away,
+ * records by game type, longest winning streaks and the average margin.
+ * A game counts for a side only when that side's own document says it won; games where
+ * neither does (e.g. the opponent's document is missing) are counted as undecided.
+ * Adds `winner` ('team1', 'team2' or null) and `margin` (team 1's perspective) to each game.
+ * @param {Array<object>} games - The games from buildMatchupGameLogPipeline, newest first.
+ * @returns {object} The summary: `team1` and `team2` records, `byType`, `undecidedGames`, `averageMargin`.
+ */
+function summarizeMatchupGames(games) {
+    const emptyRecord = () => ({ wins: 0, homeWins: 0, homeLosses: 0, awayWins: 0, awayLosses: 0, longestStreak: 0 });
+    const summary = {
+        team1: emptyRecord(),
+        team2: emptyRecord(),
+        byType: {},
+        undecidedGames: 0,
+        averageMargin: null
+    };
+    let marginTotal = 0;
+    let marginGames = 0;
+    const streak = { side: null, length: 0 };
+
+    // Walk oldest to newest so streaks are chronological
+    [...games].reverse().forEach(game => {
+        if (game.team1.win) game.winner = 'team1';
+        else if (game.team2.win) game.winner = 'team2';
+        else game.winner = null;
+
+        game.margin = game.team1.PTS !== null && game.team2.PTS !== null ? game.team1.PTS - game.team2.PTS : null;
+        if (game.margin !== null) {
+            marginTotal += game.margin;
+            marginGames++;
+        }
+
+        const byType = summary.byType[game.type] || (summary.byType[game.type] = { games: 0, team1Wins: 0, team2Wins: 0 });
+        byType.games++;
+
+        if (!game.winner) {
+            summary.undecidedGames++;
+            return;
+        }
+
+        const loser = game.winner === 'team1' ? 'team2' : 'team1';
+        const winnerAtHome = game.home === game[game.winner].team;
+        summary[game.winner].wins++;
+        summary[game.winner][winnerAtHome ? 'homeWins' : 'awayWins']++;
+        summary[loser][winnerAtHome ? 'awayLosses' : 'homeLosses']++;
+        byType[`${game.winner}Wins`]++;
+
+        streak.length = streak.side === game.winner ? streak.length + 1 : 1;
+        streak.side = game.winner;
+        summary[game.winner].longestStreak = Math.max(summary[game.winner].longestStreak, streak.length);
+    });
+
+    if (marginGames > 0) summary.averageMargin = marginTotal / marginGames;
+    summary.currentStreak = streak.side ? { team: streak.side, length: streak.length } : null;
+    return summary;
+}
+
+/**
+ * Sets games behind the leader of each group on standings rows, e.g. per conference.
+ * GB = ((leader wins - wins) + (losses - leader losses)) / 2.
+ * @param {Array<object>} standings - The standings rows, best record first.
+ * @param {string} groupField - The field to group by ('conference' or 'division').
+ * @param {string} targetField - The field to store games behind in.
+ */
+function setGamesBehind(standings, groupField, targetField) {
+    const leaders = new Map();
+    standings.forEach(row => {
+        if (!leaders.has(row[groupField])) leaders.set(row[groupField], row);
+        const leader = leaders.get(row[groupField]);
+        row[targetField] = ((leader.wins - row.wins) + (row.losses - leader.losses)) / 2;
+    });
+}
+
+/**
+ * CSV rows for a player card: the career stats, without the list of other matches.
+ * @param {object} card - The player search or ID response.
+ * @returns {Array<object>} One row.
+ */
+const playerCardRows = ({ _id, otherMatches, ...stats }) => [{ player: _id, ...stats }];
+
+// CSV columns of the player card exports
+const PLAYER_CARD_COLUMNS = ['player', 'playerId', 'teams', 'gamesPlayed', ...PLAYER_STAT_FIELDS];
+
+// CSV columns for the games of both player pair routes, before the per-player columns
+const PAIR_GAME_COLUMNS = ['gameId', 'date', 'season', 'type', 'home', 'away'];
+
+/**
+ * Lists nested CSV columns, e.g. prefixed('team1', ['PTS']) -> ['team1.PTS'].
+ * @param {string} prefix - The nested object's field.
+ * @param {string[]} fields - Its fields.
+ * @returns {string[]} The dotted column names.
+ */
+const prefixed = (prefix, fields) => fields.map(field => `${prefix}.${field}`);
+
+/**
+ * API endpoint listing every season in the database, used to populate the season filters.
+ * Example: /api/seasons
+ */
+app.get('/api/seasons', exportable(() => 'seasons', seasons => seasons.map(season => ({ season })), ['season']), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    try {
+        const seasons = await store.seasons();
+        res.json(seasons.sort());
+    } catch (err) {
+        console.error('Seasons API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the seasons.');
+    }
+});
+
 /**
  * API endpoint to search for a player and get their career average stats.
- * Example: /api/players/search/Michael Jordan
+ * The best match is returned, with the next few candidates listed in `otherMatches`.
+ * Example: /api/players/search/Michael Jordan?seasonFrom=2011&seasonTo=2014&type=playoff
  */
-app.get('/api/players/search/:name', async (req, res) => {
-    const playerName = req.params.name;
+app.get('/api/players/search/:name', exportable(req => `player-${req.params.name}`, playerCardRows, PLAYER_CARD_COLUMNS), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
 
-    if (!db) {
-        return res.status(500).json({ error: 'Database not connected' });
+    const { term: playerName, error: nameError } = parseSearchTerm(req.params.name, 'Player');
+    if (nameError) {
+        return sendError(res, 'INVALID_PARAMETER', nameError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
     }
 
     try {
-        const playersCollection = db.collection('players');
-        const pipeline = [
-            // Use regex for partial match and case-insensitivity
-            { $match: { player: { $regex: playerName, $options: 'i' } } },
-            {
-                $lookup: {
-                    from: 'team_names',
-                    localField: 'team',
-                    foreignField: 'abbreviation',
-                    as: 'teamDetails'
-                }
-            },
-            { $unwind: '$teamDetails' },
-            {
-                $group: {
-                    _id: '$player',
-                    playerId: { $first: '$playerId' }, // Add the playerId to the grouped result
-                    teams: { $addToSet: '$teamDetails.name' },
-                    gamesPlayed: { $sum: 1 },
-                    avgPTS: { $avg: { $ifNull: ['$PTS', 0] } },
-                    avgREB: { $avg: { $ifNull: ['$REB', 0] } },
-                    avgAST: { $avg: { $ifNull: ['$AST', 0] } },
-                    avgSTL: { $avg: { $ifNull: ['$STL', 0] } },
-                    avgBLK: { $avg: { $ifNull: ['$BLK', 0] } },
-                    avgTOV: { $avg: { $ifNull: ['$TOV', 0] } },
-                    avgMIN: { $avg: { $ifNull: ['$MIN', 0] } },
-                    avgFG_PCT: { $avg: { $ifNull: ['$FG_PCT', 0] } },
-                    avg3P_PCT: { $avg: { $ifNull: ['$3P_PCT', 0] } },
-                    avgFT_PCT: { $avg: { $ifNull: ['$FT_PCT', 0] } },
-                }
-            },
-            // Sort by games played to return the most prominent player first (e.g. "James" -> LeBron)
-            { $sort: { gamesPlayed: -1 } }
-        ];
-
-        // Add collation for accent insensitivity (strength: 1 ignores case and diacritics)
-        const result = await playersCollection.aggregate(pipeline, { collation: { locale: 'en', strength: 1 } }).toArray();
+        // Partial, case-insensitive match on the escaped name
+        const result = await store.searchPlayers(playerName, gameFilter);
 
         if (result.length > 0) {
-            res.json(result[0]);
+            const otherMatches = result.slice(1, 6).map(({ _id, playerId, gamesPlayed }) => ({ player: _id, playerId, gamesPlayed }));
+            res.json({ ...result[0], otherMatches });
+        } else {
+            sendError(res, 'PLAYER_NOT_FOUND', `Player "${playerName}" not found.`);
+        }
+    } catch (err) {
+        console.error('Player Search API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while searching for the player.');
+    }
+});
+
+/**
+ * API endpoint returning ranked player candidates for a partial name, for as-you-type suggestions.
+ * Names where a word starts with the query rank first, then candidates with more games.
+ * Example: /api/players/suggest/johnson
+ */
+app.get('/api/players/suggest/:query', exportable(req => `suggestions-${req.params.query}`, suggestions => suggestions, [
+    'playerId', 'player', 'gamesPlayed', 'firstSeason', 'lastSeason', 'teams'
+]), cached, async (req, res) => {
+    const limit = 10;
+
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { term: query, error: queryError } = parseSearchTerm(req.params.query, 'Query');
+    // One-letter queries match nearly every player and aren't useful as suggestions
+    if (query.length < 2) {
+        return res.json([]);
+    }
+    if (queryError) {
+        return sendError(res, 'INVALID_PARAMETER', queryError);
+    }
+
+    try {
+        const candidates = await store.suggestPlayers(query);
+
+        // Compare without case or accents so "jokic" ranks "Nikola Jokić" as a prefix match
+        const normalize = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const needle = normalize(query);
+        const rank = name => {
+            const normalized = normalize(name);
+            if (normalized === needle) return 0;
+            if (normalized.split(/\s+/).some(word => word.startsWith(needle))) return 1;
+            return 2;
+        };
+
+        const suggestions = candidates
+            .map(({ _id, teams, ...candidate }) => ({ playerId: _id, ...candidate, teams: teams.sort() }))
+            .sort((a, b) => rank(a.player) - rank(b.player) || b.gamesPlayed - a.gamesPlayed)
+            .slice(0, limit);
+
+        res.json(suggestions);
+    } catch (err) {
+        console.error('Suggest API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading suggestions.');
+    }
+});
+
+/**
+ * API endpoint returning career average stats for one exact playerId.
+ * Example: /api/players/id/2544?type=playoff
+ */
+app.get('/api/players/id/:playerId', exportable(req => `player-${req.params.playerId}`, playerCardRows, PLAYER_CARD_COLUMNS), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { id: playerId, error: idError } = parseId(req.params.playerId, 'Player ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    try {
+        const result = await store.playerCareer(playerId, gameFilter);
+
+        if (result) {
+            res.json({ ...result, otherMatches: [] });
         } else {
-            res.status(404).json({ message: `Team "${playerName}" not found.` });
+            sendError(res, 'NO_GAMES', `No games found for player ${playerId}.`);
+        }
+    } catch (err) {
+        console.error('Player API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the player.');
+    }
+});
+
+// How many players a comparison can hold
+const MAX_COMPARED_PLAYERS = 4;
+
+/**
+ * API endpoint comparing two to four players on the same filters: career stats for each,
+ * and per-season stats aligned to the same list of seasons (null where a player didn't play).
+ * Example: /api/players/compare?ids=2544,201142,201939&type=regular
+ */
+app.get('/api/players/compare', exportable(req => `compare-${req.query.ids}`, ({ players }) => players.flatMap(({ playerId, player, career, seasons }) => [
+    // A career row, then the seasons the player played
+    { playerId, player, season: 'Career', ...career },
+    ...seasons.filter(Boolean).map(stats => ({ playerId, player, ...stats }))
+]), ['playerId', 'player', 'season', 'teams', 'gamesPlayed', ...PLAYER_STAT_FIELDS]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',') : [];
+    const playerIds = [...new Set(ids.map(id => parseInt(id, 10)))];
+
+    if (ids.some(id => !/^\d+$/.test(id)) || playerIds.length < 2 || playerIds.length > MAX_COMPARED_PLAYERS) {
+        return sendError(res, 'INVALID_PARAMETER', `"ids" must list 2 to ${MAX_COMPARED_PLAYERS} different player IDs, separated by commas.`);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    try {
+        const [careers, seasonRows] = await Promise.all([
+            store.playersCareers(playerIds, gameFilter),
+            store.playersSeasons(playerIds, gameFilter)
+        ]);
+
+        const missing = playerIds.filter(id => !careers.some(career => career.playerId === id));
+        if (missing.length > 0) {
+            return sendError(res, 'NO_GAMES', `No games found for player ${missing.join(', ')}.`);
+        }
+
+        const seasons = [...new Set(seasonRows.map(row => row.season))].sort();
+
+        // Keep the requested order, and align each player's seasons to the shared list
+        const players = playerIds.map(playerId => {
+            const { _id: player, playerId: id, teams, ...career } = careers.find(doc => doc.playerId === playerId);
+            const bySeason = new Map(seasonRows.filter(row => row.playerId === playerId).map(({ playerId: rowId, ...row }) => [row.season, row]));
+            return {
+                playerId,
+                player,
+                teams,
+                career,
+                seasons: seasons.map(season => bySeason.get(season) || null)
+            };
+        });
+
+        res.json({ seasons, players });
+    } catch (err) {
+        console.error('Compare API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while comparing players.');
+    }
+});
+
+/**
+ * API endpoint returning a player's season-by-season splits, one row per season and team.
+ * Seasons split by a trade also get a combined "TOT" row, as in most box score references.
+ * Example: /api/players/2544/seasons?type=regular
+ */
+app.get('/api/players/:playerId/seasons', exportable(req => `player-${req.params.playerId}-seasons`, data => data.seasons, [
+    'season', 'team', 'gamesPlayed', ...PLAYER_STAT_FIELDS
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { id: playerId, error: idError } = parseId(req.params.playerId, 'Player ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    try {
+        const [splits, tradedSeasons] = await Promise.all([
+            store.playerSplits(playerId, gameFilter),
+            store.playerTradedSeasons(playerId, gameFilter)
+        ]);
+
+        if (splits.length === 0) {
+            return sendError(res, 'NO_GAMES', `No games found for player ${playerId}.`);
+        }
+
+        // Add the whole-season "TOT" row after the last team of every season played for more than one team
+        const totals = new Map(tradedSeasons.map(total => [total.season, total]));
+        const rows = [];
+        splits.forEach((split, index) => {
+            rows.push(split);
+            const next = splits[index + 1];
+            if ((!next || next.season !== split.season) && totals.has(split.season)) {
+                rows.push(totals.get(split.season));
+            }
+        });
+
+        res.json({ playerId, seasons: rows });
+    } catch (err) {
+        console.error('Player Seasons API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the season splits.');
+    }
+});
+
+/**
+ * API endpoint returning one page of a player's game log: each game's opponent, venue, result and box score line.
+ * Query parameters: sort (date or a stat), order (desc|asc), page, limit, from and to (YYYY-MM-DD),
+ * plus the shared season/type filters.
+ * Example: /api/players/2544/gamelog?from=2016-01-01&to=2016-03-31&sort=PTS
+ */
+app.get('/api/players/:playerId/gamelog', exportable(req => `player-${req.params.playerId}-gamelog`, data => data.games, [
+    'gameId', 'date', 'season', 'type', 'team', 'opponent', 'venue', 'win', ...GAME_STAT_FIELDS
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { id: playerId, error: idError } = parseId(req.params.playerId, 'Player ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    const { filter: dateFilter, error: dateError } = buildDateFilter(req.query);
+    if (dateError) {
+        return sendError(res, 'INVALID_PARAMETER', dateError);
+    }
+
+    const { sort = 'date', order = 'desc' } = req.query;
+    const { page, limit, error: pagingError } = parsePaging(req.query, 25);
+
+    if (sort !== 'date' && !GAME_STAT_FIELDS.includes(sort)) {
+        return sendError(res, 'INVALID_PARAMETER', '"sort" must be "date" or a stat field.');
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return sendError(res, 'INVALID_PARAMETER', '"order" must be "asc" or "desc".');
+    }
+    if (pagingError) {
+        return sendError(res, 'INVALID_PARAMETER', pagingError);
+    }
+
+    try {
+        const facet = await store.playerGameLog(playerId, { ...gameFilter, ...dateFilter }, {
+            sort,
+            order: order === 'asc' ? 1 : -1,
+            skip: (page - 1) * limit,
+            limit
+        });
+
+        const total = facet.total.length > 0 ? facet.total[0].count : 0;
+        res.json({
+            playerId,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            games: facet.games
+        });
+    } catch (err) {
+        console.error('Player Game Log API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the game log.');
+    }
+});
+
+// The longest rolling window a trend can average over
+const MAX_TREND_WINDOW = 100;
+
+/**
+ * API endpoint returning a player's rolling averages over their last N games, for every game
+ * of the career (or of the filtered seasons) in date order.
+ * Query parameters: stats (comma-separated, default PTS,REB,AST), window (default 10), plus the shared season/type filters.
+ * Example: /api/players/2544/trend?stats=PTS,TS_PCT&window=20&type=regular
+ */
+app.get('/api/players/:playerId/trend', exportable(req => `player-${req.params.playerId}-trend`, data => data.games, data => [
+    'gameNumber', 'gameId', 'date', 'season', 'type', 'team', 'games', ...data.stats
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { id: playerId, error: idError } = parseId(req.params.playerId, 'Player ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    const stats = [...new Set(String(req.query.stats || 'PTS,REB,AST').split(',').map(stat => stat.trim()))];
+    const window = parseInt(req.query.window || '10', 10);
+
+    if (stats.some(stat => !TREND_STATS.includes(stat))) {
+        return sendError(res, 'INVALID_PARAMETER', `"stats" must be a comma-separated list of: ${TREND_STATS.join(', ')}.`);
+    }
+    if (Number.isNaN(window) || window < 1 || window > MAX_TREND_WINDOW) {
+        return sendError(res, 'INVALID_PARAMETER', `"window" must be between 1 and ${MAX_TREND_WINDOW}.`);
+    }
+
+    try {
+        const games = await store.playerTrend(playerId, stats, window, gameFilter);
+
+        if (games.length === 0) {
+            return sendError(res, 'NO_GAMES', `No games found for player ${playerId}.`);
         }
+
+        res.json({ playerId, window, stats, games });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        console.error('Player Trend API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the trend.');
     }
 });
 
+/**
+ * Loads the games two players both played in, for the player pair routes: as opponents (the head-to-head)
+ * or as teammates. Both inputs are resolved like the player search, and each player's averages and
+ * shooting over the kept games use the same fields and formulas as the career route.
+ * @param {string} p1 - Player 1's name or playerId.
+ * @param {string} p2 - Player 2's name or playerId.
+ * @param {object} gameFilter - The season/type conditions from buildGameFilter.
+ * @param {string} relation - 'opponents' for games on different teams, 'teammates' for games on the same team.
+ * @returns {Promise<{pair: object|null, error: {code: string, message: string}|null}>} The `player1`, `player2`,
+ *     `games` (newest first, each `{ game, line1, line2 }`) and `statsOf(player)`; or the error to send.
+ */
+async function loadPlayerPair(p1, p2, gameFilter, relation) {
+    const [player1, player2] = await Promise.all([store.resolvePlayer(p1), store.resolvePlayer(p2)]);
+
+    if (!player1 || !player2) {
+        return { pair: null, error: { code: 'PLAYER_NOT_FOUND', message: `Player "${player1 ? p2 : p1}" not found.` } };
+    }
+    if (player1.playerId === player2.playerId) {
+        return { pair: null, error: { code: 'INVALID_PARAMETER', message: 'Please choose two different players.' } };
+    }
+
+    // Group both players' games by gameId, then keep the ones where their teams match the relation
+    const sharedGames = await store.playerSharedGames([player1.playerId, player2.playerId], gameFilter);
+    const games = [];
+    sharedGames.forEach(game => {
+        const line1 = game.lines.find(line => line.playerId === player1.playerId);
+        const line2 = game.lines.find(line => line.playerId === player2.playerId);
+        if (!line1 || !line2 || (line1.team === line2.team) !== (relation === 'teammates')) return;
+        games.push({ game, line1, line2 });
+    });
 
-// --- New Endpoint: Search for a team and its top players ---
-app.get('/api/teams/search/:teamName', async (req, res) => {
-    const teamName = req.params.teamName;
+    const stats = games.length === 0 ? [] : await store.playerGamesStats(
+        [player1.playerId, player2.playerId],
+        games.map(({ game }) => game._id)
+    );
+    const statsOf = (player) => {
+        const playerStats = stats.find(row => row._id === player.playerId) || {};
+        return Object.fromEntries(PLAYER_STAT_FIELDS.map(field => [field, playerStats[field] ?? null]));
+    };
 
-    if (!db) {
-        return res.status(500).json({ error: 'Database not connected' });
+    return { pair: { player1, player2, games, statsOf }, error: null };
+}
+
+/**
+ * API endpoint for a player-vs-player head-to-head: every game the two players played
+ * on opposite teams, wins for each side, per-player averages in those games and the game list.
+ * Example: /api/players/matchup/LeBron James/Kevin Durant?type=playoff
+ */
+app.get('/api/players/matchup/:p1/:p2', exportable(req => `player-matchup-${req.params.p1}-${req.params.p2}`, data => data.games, [
+    ...PAIR_GAME_COLUMNS, ...prefixed('player1', ['team', 'win', 'PTS', 'REB', 'AST']), ...prefixed('player2', ['team', 'win', 'PTS', 'REB', 'AST'])
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { term: p1, error: p1Error } = parseSearchTerm(req.params.p1, 'Player 1');
+    const { term: p2, error: p2Error } = parseSearchTerm(req.params.p2, 'Player 2');
+    if (p1Error || p2Error) {
+        return sendError(res, 'INVALID_PARAMETER', p1Error || p2Error);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
     }
 
     try {
-        // Find all abbreviations that match the search term (e.g., "Lakers", "LAL", "Los Angeles")
-        const teamNameDocs = await db.collection('team_names').find({
-            $or: [
-                { name: { $regex: teamName, $options: 'i' } },
-                { abbreviation: { $regex: `^${teamName}$`, $options: 'i' } }
-            ]
-        }).toArray();
-
-        if (teamNameDocs.length === 0) {
-            return res.status(404).json({ message: 'Team not found.' });
+        const { pair, error } = await loadPlayerPair(p1, p2, gameFilter, 'opponents');
+        if (error) {
+            return sendError(res, error.code, error.message);
         }
+        const { player1, player2 } = pair;
 
-        const teamInfo = teamNameDocs[0];
-        const teamAbbreviations = teamNameDocs.map(doc => doc.abbreviation);
-
-        // Fetch teamId from 'teams' collection using the abbreviation
-        const teamIdDoc = await db.collection('teams').findOne({ team: teamInfo.abbreviation }, { projection: { teamId: 1 } });
-        const teamId = teamIdDoc ? teamIdDoc.teamId : null;
-
-        // Find the top 10 players for that team based on average points
-        const topPlayers = await db.collection('players').aggregate([
-            // Match all games played for the found team abbreviations
-            { $match: { team: { $in: teamAbbreviations } } },
-            // Group by player to calculate career averages for that team
-            {
-                $group: {
-                    _id: '$player',
-                    playerId: { $first: '$playerId' }, // Get the ID for the headshot
-                    avgPTS: { $avg: '$PTS' },
-                    gamesPlayed: { $sum: 1 }
-                }
-            },
-            // Sort by average points descending
-            { $sort: { avgPTS: -1 } },
-            // Limit to the top 10
-            { $limit: 10 }
-        ]).toArray();
+        const wins = { [player1.playerId]: 0, [player2.playerId]: 0 };
+        const games = pair.games.map(({ game, line1, line2 }) => {
+            if (line1.win) wins[player1.playerId]++;
+            if (line2.win) wins[player2.playerId]++;
+
+            return {
+                gameId: game._id,
+                date: game.date,
+                season: game.season,
+                type: game.type,
+                home: game.home,
+                away: game.away,
+                player1: { team: line1.team, win: line1.win, PTS: line1.PTS, REB: line1.REB, AST: line1.AST },
+                player2: { team: line2.team, win: line2.win, PTS: line2.PTS, REB: line2.REB, AST: line2.AST }
+            };
+        });
+
+        const finish = (player) => ({ ...player, wins: wins[player.playerId], ...pair.statsOf(player) });
+
+        res.json({
+            gamesPlayed: games.length,
+            player1: finish(player1),
+            player2: finish(player2),
+            games
+        });
+    } catch (err) {
+        console.error('Player Matchup API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred during the player matchup search.');
+    }
+});
+
+/**
+ * API endpoint listing a player's most frequent teammates, with their games together,
+ * record together and both players' scoring in those games.
+ * Query parameters: sort (gamesPlayed|wins|winPct|combinedPTS), minGames, page, limit, plus the shared season/type filters.
+ * Example: /api/players/2544/teammates?sort=winPct&minGames=100&type=regular
+ */
+app.get('/api/players/:playerId/teammates', exportable(req => `player-${req.params.playerId}-teammates`, data => data.teammates, [
+    'playerId', 'player', 'teams', 'gamesPlayed', 'wins', 'losses', 'winPct', 'avgPTS', 'teammateAvgPTS', 'combinedPTS', 'firstGame', 'lastGame'
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { id: playerId, error: idError } = parseId(req.params.playerId, 'Player ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    const { sort = 'gamesPlayed' } = req.query;
+    const minGames = parseInt(req.query.minGames || '1', 10);
+    const { page, limit, error: pagingError } = parsePaging(req.query, 20);
+
+    if (!TEAMMATE_SORTS.includes(sort)) {
+        return sendError(res, 'INVALID_PARAMETER', `"sort" must be one of: ${TEAMMATE_SORTS.join(', ')}.`);
+    }
+    if (Number.isNaN(minGames) || minGames < 1) {
+        return sendError(res, 'INVALID_PARAMETER', '"minGames" must be a positive number.');
+    }
+    if (pagingError) {
+        return sendError(res, 'INVALID_PARAMETER', pagingError);
+    }
+
+    try {
+        const facet = await store.playerTeammates(playerId, gameFilter, {
+            sort,
+            minGames,
+            skip: (page - 1) * limit,
+            limit
+        });
+
+        const total = facet.total.length > 0 ? facet.total[0].count : 0;
+        res.json({
+            playerId,
+            sort,
+            minGames,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            teammates: facet.teammates
+        });
+    } catch (err) {
+        console.error('Player Teammates API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the teammates.');
+    }
+});
+
+/**
+ * API endpoint for two players as teammates: every game they played on the same team,
+ * their record together, per-player averages in those games and the game list.
+ * Example: /api/players/teammates/LeBron James/Dwyane Wade?type=playoff
+ */
+app.get('/api/players/teammates/:p1/:p2', exportable(req => `player-teammates-${req.params.p1}-${req.params.p2}`, data => data.games, [
+    ...PAIR_GAME_COLUMNS, 'team', 'win',
+    ...prefixed('player1', ['PTS', 'REB', 'AST']), ...prefixed('player2', ['PTS', 'REB', 'AST']), 'combinedPTS'
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { term: p1, error: p1Error } = parseSearchTerm(req.params.p1, 'Player 1');
+    const { term: p2, error: p2Error } = parseSearchTerm(req.params.p2, 'Player 2');
+    if (p1Error || p2Error) {
+        return sendError(res, 'INVALID_PARAMETER', p1Error || p2Error);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    try {
+        const { pair, error } = await loadPlayerPair(p1, p2, gameFilter, 'teammates');
+        if (error) {
+            return sendError(res, error.code, error.message);
+        }
+
+        const games = pair.games.map(({ game, line1, line2 }) => ({
+            gameId: game._id,
+            date: game.date,
+            season: game.season,
+            type: game.type,
+            home: game.home,
+            away: game.away,
+            team: line1.team,
+            win: line1.win,
+            player1: { PTS: line1.PTS, REB: line1.REB, AST: line1.AST },
+            player2: { PTS: line2.PTS, REB: line2.REB, AST: line2.AST },
+            combinedPTS: (line1.PTS || 0) + (line2.PTS || 0)
+        }));
+
+        const wins = games.filter(game => game.win).length;
+        const player1 = { ...pair.player1, ...pair.statsOf(pair.player1) };
+        const player2 = { ...pair.player2, ...pair.statsOf(pair.player2) };
+
+        res.json({
+            gamesPlayed: games.length,
+            wins,
+            losses: games.length - wins,
+            winPct: games.length === 0 ? null : wins / games.length,
+            combinedPTS: games.length === 0 ? null : player1.avgPTS + player2.avgPTS,
+            teams: [...new Set(games.map(game => game.team))].sort(),
+            player1,
+            player2,
+            games
+        });
+    } catch (err) {
+        console.error('Player Teammates API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred during the teammates search.');
+    }
+});
+
+/**
+ * API endpoint ranking players league-wide on any stored or derived stat.
+ * Query parameters: stat (default PTS), mode (perGame|totals), minGames, order (desc|asc),
+ * page, limit, plus the shared season/type filters.
+ * Example: /api/leaders?stat=TS_PCT&minGames=100&seasonFrom=2015&type=regular&page=2
+ */
+app.get('/api/leaders', exportable(req => `leaders-${req.query.stat || 'PTS'}`, data => data.leaders, [
+    'rank', 'playerId', 'player', 'teams', 'gamesPlayed', ...PLAYER_STAT_FIELDS
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    const { ranking, error: rankingError } = parseRanking(req.query, 25);
+    if (rankingError) {
+        return sendError(res, 'INVALID_PARAMETER', rankingError);
+    }
+
+    try {
+        const result = await store.leaders(rankingOptions(ranking), gameFilter);
+
+        const { stat, mode, order, minGames } = ranking;
+        const { rows: leaders, ...paging } = rankedPage(ranking, result.leaders, result.total);
+        res.json({ stat, mode, order, minGames, ...paging, leaders });
+    } catch (err) {
+        console.error('Leaders API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while ranking players.');
+    }
+});
+
+/**
+ * API endpoint for one season's regular season standings.
+ * Each team has its W-L record, win%, games behind its conference and division leaders,
+ * home/away records, point differential and last-10 record.
+ * Example: /api/standings/2019
+ */
+app.get('/api/standings/:season', exportable(req => `standings-${req.params.season}`, data => data.standings, [
+    'team', 'teamId', 'name', 'conference', 'division', 'gamesPlayed', 'wins', 'losses', 'winPct', 'gamesBehind', 'divisionGamesBehind',
+    'homeWins', 'homeLosses', 'awayWins', 'awayLosses', 'pointDifferential', 'avgPointDifferential', 'lastTenWins', 'lastTenLosses'
+]), cached, async (req, res) => {
+    const { season } = req.params;
+
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    if (!/^\d{4}$/.test(season)) {
+        return sendError(res, 'INVALID_PARAMETER', '"season" must be a four-digit year.');
+    }
+
+    try {
+        const rows = await store.standings(season);
+
+        if (rows.length === 0) {
+            return sendError(res, 'NO_GAMES', `No regular season games found for ${season}.`);
+        }
+
+        const standings = rows.map(({ lastTen, ...row }) => {
+            const lastTenWins = lastTen.filter(Boolean).length;
+            return { ...row, lastTenWins, lastTenLosses: lastTen.length - lastTenWins };
+        });
+        setGamesBehind(standings, 'conference', 'gamesBehind');
+        setGamesBehind(standings, 'division', 'divisionGamesBehind');
+
+        res.json({ season, standings });
+    } catch (err) {
+        console.error('Standings API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while building the standings.');
+    }
+});
+
+/**
+ * API endpoint for the game finder: player or team game documents matching stat thresholds
+ * and who/where/result conditions, paginated.
+ * Query parameters: source (players|teams), player (name or ID, players only), team, opponent,
+ * venue (home|away), result (win|loss), stat (repeatable, "STAT:operator:value"), sort (date or a stat),
+ * order (desc|asc), page, limit, scope (for team/opponent), plus the shared season/type filters.
+ * Example: /api/finder?player=LeBron James&stat=PTS:gte:40&opponent=BOS&type=playoff&seasonFrom=2010
+ */
+app.get('/api/finder', exportable(req => `finder-${req.query.source || 'players'}`, data => data.games, data => [
+    // The fields of the stored game documents
+    'gameId', 'date', 'type', ...(data.source === 'players' ? ['playerId', 'player'] : ['teamId']),
+    'team', 'home', 'away', 'win', 'season', ...GAME_STAT_FIELDS
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    const { filter: statFilter, error: statError } = buildStatConditions(req.query.stat);
+    if (statError) {
+        return sendError(res, 'INVALID_PARAMETER', statError);
+    }
+
+    const { scope, error: scopeError } = parseTeamScope(req.query);
+    if (scopeError) {
+        return sendError(res, 'INVALID_PARAMETER', scopeError);
+    }
+
+    const { source = 'players', player, team, opponent, venue, result, sort = 'date', order = 'desc' } = req.query;
+    const { page, limit, error: pagingError } = parsePaging(req.query, 25);
+
+    if (!['players', 'teams'].includes(source)) {
+        return sendError(res, 'INVALID_PARAMETER', '"source" must be "players" or "teams".');
+    }
+    if (player && source !== 'players') {
+        return sendError(res, 'INVALID_PARAMETER', '"player" can only be used with source=players.');
+    }
+    if (venue && !['home', 'away'].includes(venue)) {
+        return sendError(res, 'INVALID_PARAMETER', '"venue" must be "home" or "away".');
+    }
+    if (result && !['win', 'loss'].includes(result)) {
+        return sendError(res, 'INVALID_PARAMETER', '"result" must be "win" or "loss".');
+    }
+    if (sort !== 'date' && !GAME_STAT_FIELDS.includes(sort)) {
+        return sendError(res, 'INVALID_PARAMETER', '"sort" must be "date" or a stat field.');
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return sendError(res, 'INVALID_PARAMETER', '"order" must be "asc" or "desc".');
+    }
+    if (pagingError) {
+        return sendError(res, 'INVALID_PARAMETER', pagingError);
+    }
+
+    const names = {};
+    for (const [key, input] of Object.entries({ player, team, opponent })) {
+        if (!input) continue;
+        const { term, error } = parseSearchTerm(input, `"${key}"`);
+        if (error) {
+            return sendError(res, 'INVALID_PARAMETER', error);
+        }
+        names[key] = term;
+    }
+
+    try {
+        const criteria = { venue, result };
+        const resolved = {};
+
+        if (names.player) {
+            const found = await store.resolvePlayer(names.player);
+            if (!found) return sendError(res, 'PLAYER_NOT_FOUND', `Player "${names.player}" not found.`);
+            criteria.playerId = found.playerId;
+            resolved.player = found;
+        }
+        for (const key of ['team', 'opponent']) {
+            const input = names[key];
+            if (!input) continue;
+            const found = await store.resolveTeam(input, scope);
+            if (!found) return sendError(res, 'TEAM_NOT_FOUND', `Team "${input}" not found.`);
+            criteria[`${key}Selection`] = found.selection;
+            resolved[key] = { franchiseId: found.franchiseId, name: found.name, eras: found.selectedEras };
+        }
+
+        const facet = await store.findGames(source, criteria, statFilter, gameFilter, {
+            sort,
+            order: order === 'asc' ? 1 : -1,
+            skip: (page - 1) * limit,
+            limit
+        });
+
+        const total = facet.total.length > 0 ? facet.total[0].count : 0;
+        res.json({
+            source,
+            ...resolved,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            games: facet.games
+        });
+    } catch (err) {
+        console.error('Finder API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while searching games.');
+    }
+});
+
+// Players shown as starters in a box score. The data has no starter flag, so it's the five with the most minutes.
+const BOX_SCORE_STARTERS = 5;
+
+/**
+ * API endpoint for one game's box score: both teams' lines from `teams`, and every player
+ * line from `players` grouped by team, split into starters and bench and sorted by minutes.
+ * Teams are named after the franchise era they played the game in.
+ * Example: /api/games/21900001
+ */
+app.get('/api/games/:gameId', exportable(req => `game-${req.params.gameId}`, ({ teams }) => teams.flatMap(({ team, starters, bench }) => [
+    ...starters.map(line => ({ team, starter: true, ...line })),
+    ...bench.map(line => ({ team, starter: false, ...line }))
+]), ['team', 'starter', 'playerId', 'player', ...GAME_STAT_FIELDS]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { id: gameId, error: idError } = parseId(req.params.gameId, 'Game ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    try {
+        const { teamDocs, playerDocs } = await store.gameLines(gameId);
+
+        if (teamDocs.length === 0 && playerDocs.length === 0) {
+            return sendError(res, 'GAME_NOT_FOUND', `Game ${gameId} not found.`);
+        }
+
+        // The game-level fields are repeated on every document, so they're returned once
+        const { gameId: id, date, season, type, home, away } = teamDocs[0] || playerDocs[0];
+        const gameFields = ['_id', 'gameId', 'date', 'season', 'type', 'home', 'away'];
+        const toLine = doc => Object.fromEntries(Object.entries(doc).filter(([key]) => !gameFields.includes(key)));
+
+        const eras = await store.erasAtDate([home, away], date);
+        const eraNames = new Map(eras.map(era => [era.abbreviation, era.name]));
+
+        // Away team first, as in a printed box score
+        const teams = [away, home].map(abbreviation => {
+            const teamDoc = teamDocs.find(doc => doc.team === abbreviation);
+            const { team, ...line } = teamDoc ? toLine(teamDoc) : { team: abbreviation };
+            const players = playerDocs
+                .filter(doc => doc.team === abbreviation)
+                .map(doc => {
+                    const { team: playerTeam, win, ...playerLine } = toLine(doc);
+                    return playerLine;
+                });
+            return {
+                team,
+                name: eraNames.get(abbreviation) || abbreviation,
+                ...line,
+                starters: players.slice(0, BOX_SCORE_STARTERS),
+                bench: players.slice(BOX_SCORE_STARTERS)
+            };
+        });
+
+        res.json({ gameId: id, date, season, type, home, away, teams });
+    } catch (err) {
+        console.error('Box Score API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while loading the game.');
+    }
+});
+
+/**
+ * API endpoint finding a team and ranking its players, by default on points per game.
+ * Query parameters: stat, mode, minGames, order, page and limit (default 10) as for /api/leaders,
+ * plus scope and the shared season/type filters.
+ * Example: /api/teams/search/Celtics?stat=REB&mode=totals&minGames=100
+ */
+app.get('/api/teams/search/:teamName', exportable(req => `team-${req.params.teamName}`, ({ teamName, players }) =>
+    players.map(player => ({ team: teamName, ...player })),
+['team', 'rank', 'playerId', 'player', 'gamesPlayed', ...PLAYER_STAT_FIELDS, 'eras']), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { term: teamName, error: nameError } = parseSearchTerm(req.params.teamName, 'Team');
+    if (nameError) {
+        return sendError(res, 'INVALID_PARAMETER', nameError);
+    }
+
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
+
+    const { scope, error: scopeError } = parseTeamScope(req.query);
+    if (scopeError) {
+        return sendError(res, 'INVALID_PARAMETER', scopeError);
+    }
+
+    const { ranking, error: rankingError } = parseRanking(req.query, 10);
+    if (rankingError) {
+        return sendError(res, 'INVALID_PARAMETER', rankingError);
+    }
+
+    try {
+        // Resolve the search term (e.g., "Lakers", "LAL", "SuperSonics") to a franchise and its eras
+        const team = await store.resolveTeam(teamName, scope);
+
+        if (!team) {
+            return sendError(res, 'TEAM_NOT_FOUND', `Team "${teamName}" not found.`);
+        }
+
+        // Rank the players who played for the selected eras
+        const result = await store.teamTopPlayers(team.selection, team.eras, gameFilter, rankingOptions(ranking));
+        const { stat, mode, order, minGames } = ranking;
+        const { rows: players, ...paging } = rankedPage(ranking, result.players, result.total);
 
         const response = {
-            teamName: teamInfo.name, // Use the first found full name for display
-            teamId: teamId,   // <-- ADDED teamId (fetched from teams collection)
-            players: topPlayers
+            // In era scope, name the team after the era searched for (e.g. "Seattle SuperSonics")
+            teamName: scope === 'era' ? team.selectedEras[team.selectedEras.length - 1].name : team.name,
+            teamId: team.teamId,
+            scope,
+            franchise: { franchiseId: team.franchiseId, name: team.name, eras: team.eras },
+            eras: team.selectedEras,
+            stat,
+            mode,
+            order,
+            minGames,
+            ...paging,
+            players
         };
 
         res.json(response);
 
     } catch (error) {
         console.error('Error searching for team:', error);
-        res.status(500).json({ message: 'Error searching for team.' });
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while searching for the team.');
     }
 });
 
-// --- New Endpoint: Head-to-Head Matchup ---
-app.get('/api/matchup/:team1/:team2', async (req, res) => {
-    const { team1, team2 } = req.params;
+/**
+ * API endpoint for a team's efficiency ratings, per season and over all the matched games:
+ * estimated possessions, pace, offensive/defensive/net rating and the four factors for the team
+ * and its opponents. Takes the same team names, scope and filters as the team search.
+ * Example: /api/teams/stats/Celtics?seasonFrom=2008&type=regular
+ */
+app.get('/api/teams/stats/:teamName', exportable(req => `team-${req.params.teamName}-stats`, ({ seasons, overall }) =>
+    [...seasons, { ...overall, season: 'All' }],
+[
+    'season', 'games', 'wins', 'losses', 'POSS', 'PACE', 'OFF_RATING', 'DEF_RATING', 'NET_RATING',
+    ...['team', 'opponent'].flatMap(side => prefixed(side, ['EFG_PCT', 'TOV_PCT', 'OREB_PCT', 'FT_RATE']))
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
 
-    if (!db) {
-        return res.status(500).json({ error: 'Database not connected' });
+    const { term: teamName, error: nameError } = parseSearchTerm(req.params.teamName, 'Team');
+    if (nameError) {
+        return sendError(res, 'INVALID_PARAMETER', nameError);
     }
 
-    try {
-        // Helper function to resolve team name/abbr to abbreviation
-        const resolveTeam = async (input) => {
-            const doc = await db.collection('team_names').findOne({
-                $or: [
-                    { abbreviation: { $regex: `^${input}$`, $options: 'i' } },
-                    { name: { $regex: input, $options: 'i' } }
-                ]
-            });
-            return doc ? doc : null;
-        };
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
 
-        const t1Doc = await resolveTeam(team1);
-        const t2Doc = await resolveTeam(team2);
+    const { scope, error: scopeError } = parseTeamScope(req.query);
+    if (scopeError) {
+        return sendError(res, 'INVALID_PARAMETER', scopeError);
+    }
 
-        if (!t1Doc || !t2Doc) {
-            return res.status(404).json({ message: 'One or both teams not found.' });
+    try {
+        const team = await store.resolveTeam(teamName, scope);
+        if (!team) {
+            return sendError(res, 'TEAM_NOT_FOUND', `Team "${teamName}" not found.`);
         }
 
-        const t1Abbr = t1Doc.abbreviation;
-        const t2Abbr = t2Doc.abbreviation;
+        const { seasons, overall } = await store.teamEfficiency(team.selection, gameFilter);
+        if (seasons.length === 0) {
+            return sendError(res, 'NO_GAMES', `No games found for ${team.name}.`);
+        }
+
+        res.json({
+            teamName: scope === 'era' ? team.selectedEras[team.selectedEras.length - 1].name : team.name,
+            teamId: team.teamId,
+            scope,
+            eras: team.selectedEras,
+            overall: overall[0],
+            seasons
+        });
+    } catch (err) {
+        console.error('Team Stats API Error:', err);
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred while computing the team ratings.');
+    }
+});
+
+// --- New Endpoint: Head-to-Head Matchup ---
+app.get('/api/matchup/:team1/:team2', exportable(req => `matchup-${req.params.team1}-${req.params.team2}`, data => data.games, [
+    'gameId', 'date', 'season', 'type', 'home', 'away',
+    ...prefixed('team1', ['team', 'PTS', 'win']), ...prefixed('team2', ['team', 'PTS', 'win']), 'winner', 'margin'
+]), cached, async (req, res) => {
+    if (!store) {
+        return sendError(res, 'DATABASE_UNAVAILABLE', 'Database not connected.');
+    }
+
+    const { term: team1, error: team1Error } = parseSearchTerm(req.params.team1, 'Team 1');
+    const { term: team2, error: team2Error } = parseSearchTerm(req.params.team2, 'Team 2');
+    if (team1Error || team2Error) {
+        return sendError(res, 'INVALID_PARAMETER', team1Error || team2Error);
+    }
 
-        // Fetch teamIds for logos
-        const t1IdDoc = await db.collection('teams').findOne({ team: t1Abbr }, { projection: { teamId: 1 } });
-        const t2IdDoc = await db.collection('teams').findOne({ team: t2Abbr }, { projection: { teamId: 1 } });
+    const { filter: gameFilter, error: filterError } = buildGameFilter(req.query);
+    if (filterError) {
+        return sendError(res, 'INVALID_PARAMETER', filterError);
+    }
 
-        t1Doc.teamId = t1IdDoc ? t1IdDoc.teamId : null;
-        t2Doc.teamId = t2IdDoc ? t2IdDoc.teamId : null;
+    const { scope, error: scopeError } = parseTeamScope(req.query);
+    if (scopeError) {
+        return sendError(res, 'INVALID_PARAMETER', scopeError);
+    }
 
-        // 1. Calculate Win/Loss Record
-        // We query the 'teams' collection (which contains team stats per game)
-        // We look for games where the team is t1Abbr and the opponent is t2Abbr
-        const games = await db.collection('teams').find({
-            team: t1Abbr,
-            $or: [{ home: t2Abbr }, { away: t2Abbr }]
-        }).toArray();
+    try {
+        const [t1, t2] = await Promise.all([store.resolveTeam(team1, scope), store.resolveTeam(team2, scope)]);
 
-        let t1Wins = 0;
-        let t2Wins = 0;
+        if (!t1 || !t2) {
+            return sendError(res, 'TEAM_NOT_FOUND', `Team "${t1 ? team2 : team1}" not found.`);
+        }
 
-        games.forEach(game => {
-            if (game.win) {
-                t1Wins++;
-            } else {
-                t2Wins++;
-            }
-        });
+        if (scope === 'franchise' && t1.franchiseId === t2.franchiseId) {
+            return sendError(res, 'INVALID_PARAMETER', `Both teams resolve to the ${t1.name} franchise. Search by era to compare its eras.`);
+        }
+
+        // 1. Build the game log and Win/Loss Record
+        // We query the 'teams' collection (which contains team stats per game) for games where
+        // the team is team1 (any selected era) and the opponent is team2, joining team2's own document
+        const games = await store.matchupGames(t1.selection, t2.selection, gameFilter);
+        const { team1: t1Record, team2: t2Record, ...summary } = summarizeMatchupGames(games);
 
         // 2. Find Top 5 Players for each team in this matchup
-        const getTopPlayers = async (teamAbbr, opponentAbbr) => {
-            return await db.collection('players').aggregate([
-                {
-                    $match: {
-                        team: teamAbbr,
-                        $or: [{ home: opponentAbbr }, { away: opponentAbbr }]
-                    }
-                },
-                {
-                    $group: {
-                        _id: '$player',
-                        playerId: { $first: '$playerId' },
-                        avgPTS: { $avg: '$PTS' },
-                        gamesPlayed: { $sum: 1 }
-                    }
-                },
-                { $sort: { avgPTS: -1 } },
-                { $limit: 5 }
-            ]).toArray();
+        const getTopPlayers = (team, opponent) => {
+            return store.matchupTopPlayers(team.selection, opponent.selection, team.eras, gameFilter);
         };
 
         const [t1Players, t2Players] = await Promise.all([
-            getTopPlayers(t1Abbr, t2Abbr),
-            getTopPlayers(t2Abbr, t1Abbr)
+            getTopPlayers(t1, t2),
+            getTopPlayers(t2, t1)
         ]);
 
+        // The query selection is internal; each side reports the eras its games come from
+        const describe = ({ selection, selectedEras, ...team }, record) => ({ ...team, eras: selectedEras, ...record });
+
         res.json({
-            team1: { ...t1Doc, wins: t1Wins },
-            team2: { ...t2Doc, wins: t2Wins },
+            scope,
+            team1: describe(t1, t1Record),
+            team2: describe(t2, t2Record),
+            gamesPlayed: games.length,
+            ...summary,
+            games,
             team1TopPlayers: t1Players,
             team2TopPlayers: t2Players
         });
 
     } catch (error) {
         console.error('Matchup API Error:', error);
-        res.status(500).json({ error: 'An error occurred during the matchup search.' });
+        sendError(res, 'INTERNAL_ERROR', 'An error occurred during the matchup search.');
     }
 });
 
+/**
+ * Sends an image from the asset directory, or a placeholder when there is none. Browsers keep files
+ * for a week, but placeholders only for an hour, so an image added later shows up soon.
+ * @param {import('express').Response} res - The response.
+ * @param {Promise<string|null>} lookup - The file lookup from the asset store.
+ * @param {function} placeholder - Resolves to the placeholder SVG.
+ */
+async function sendAsset(res, lookup, placeholder) {
+    let file = null;
+    try {
+        file = await lookup;
+    } catch (err) {
+        console.error('Asset Error:', err);
+    }
+    if (file) {
+        return res.sendFile(file, { maxAge: '7d' });
+    }
+    res.type('image/svg+xml').set('Cache-Control', 'public, max-age=3600').send(await placeholder());
+}
+
+/**
+ * API endpoint for a player's headshot, or a placeholder with their initials.
+ * Example: /api/assets/headshot/2544
+ */
+app.get('/api/assets/headshot/:playerId', async (req, res) => {
+    const { id: playerId, error: idError } = parseId(req.params.playerId, 'Player ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    await sendAsset(res, assets.find('headshot', playerId), async () => {
+        // The name is only needed for the initials; without the database the placeholder shows "?"
+        const player = store ? await store.resolvePlayer(String(playerId)).catch(() => null) : null;
+        return headshotPlaceholder(player ? player.player : null, playerId);
+    });
+});
+
+/**
+ * API endpoint for a team's logo, or a placeholder with its abbreviation in the team colors.
+ * Example: /api/assets/logo/1610612747
+ */
+app.get('/api/assets/logo/:teamId', async (req, res) => {
+    const { id: teamId, error: idError } = parseId(req.params.teamId, 'Team ID');
+    if (idError) {
+        return sendError(res, 'INVALID_PARAMETER', idError);
+    }
+
+    await sendAsset(res, assets.find('logo', teamId), () => logoPlaceholder(teamId));
+});
+
+// Any other /api path is an unknown route, answered in the same error format as the routes above
+app.use('/api', (req, res) => {
+    sendError(res, 'NOT_FOUND', `No API route at ${req.method} ${req.baseUrl}${req.path}.`);
+});
+
 // Serve static files from the "public" directory. This should come AFTER the API routes.
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Start the server and connect to the database
+// Errors thrown outside the route handlers, e.g. a path that isn't valid percent-encoding
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.status >= 400 && err.status < 500) {
+        return sendError(res, 'INVALID_PARAMETER', 'The request could not be read.');
+    }
+    console.error('Unhandled API Error:', err);
+    sendError(res, 'INTERNAL_ERROR', 'An unexpected error occurred.');
+});
+
+// Start the server and connect to the database (or open the fixtures)
 async function startServer() {
     try {
-        await client.connect();
-        console.log('Connected to MongoDB Atlas');
-        db = client.db(dbName);
+        const opened = await openDataAccess({
+            backend,
+            mongoUri: process.env.MONGO_URI,
+            fixtureDir: process.env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR
+        });
+        console.log(`Connected to ${opened.description}`);
+        store = opened.data;
+        closeStore = opened.close;
 
-        app.listen(port, () => {
-            console.log(`Server running at http://localhost:${port}`);
+        // PORT=0 picks a free port, so the log reads the one actually bound (the tests rely on it)
+        const server = app.listen(port, () => {
+            console.log(`Server running at http://localhost:${server.address().port}`);
         });
     } catch (err) {
-        console.error('Failed to connect to MongoDB', err);
+        console.error(`Failed to open the ${backend} data backend`, err);
         process.exit(1);
     }
 }
@@ -264,7 +1372,7 @@ startServer();
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-    await client.close();
-    console.log('MongoDB connection closed.');
+    if (closeStore) await closeStore();
+    console.log('Data backend closed.');
     process.exit(0);
 });
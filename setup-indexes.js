@@ -0,0 +1,232 @@
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const pipelines = require('./lib/pipelines');
+
+const url = process.env.MONGO_URI;
+
+if (!url) {
+    console.error('Error: MONGO_URI is not defined in the .env file');
+    process.exit(1);
+}
+
+const client = new MongoClient(url);
+const dbName = 'nba_db';
+
+// --check explains every server query instead of creating indexes, and exits with 1 on a collection scan
+const checkMode = process.argv.includes('--check');
+
+/**
+ * The indexes the API routes rely on, per collection.
+ * The unique natural keys match the upsert keys used by `import-data.js --incremental`.
+ */
+const INDEXES = {
+    players: [
+        { key: { gameId: 1, playerId: 1 }, unique: true }, // Natural key, box scores and the teammates $lookup
+        { key: { playerId: 1, season: 1 } },                // Lookups by ID, season splits, player matchups
+        { key: { player: 1 } },                             // Name searches and suggestions
+        { key: { team: 1, season: 1 } },                    // Team top players and team matchups
+        { key: { season: 1, type: 1 } },                    // League-wide leaderboards
+    ],
+    teams: [
+        { key: { gameId: 1, teamId: 1 }, unique: true },    // Natural key, box scores and the opponent $lookup in matchup game logs and team ratings
+        { key: { team: 1, season: 1 } },                    // teamId lookups and matchup game lists
+        { key: { season: 1 } },                             // Season list and standings
+    ],
+    team_names: [
+        { key: { abbreviation: 1 }, unique: true },         // The $lookup in player searches
+    ],
+    franchises: [
+        { key: { abbreviation: 1, from: 1 }, unique: true }, // Natural key, team searches by abbreviation, box score names and standings
+        { key: { franchiseId: 1, from: 1 } },               // A franchise's eras
+        { key: { name: 1 } },                               // Team name searches
+    ],
+};
+
+// Sample arguments for the explain() checks
+const gameFilter = pipelines.buildGameFilter({ seasonFrom: '2015', seasonTo: '2020', type: 'playoff' }).filter;
+const thunderEras = [
+    { abbreviation: 'SEA', name: 'Seattle SuperSonics', from: new Date('1967-07-01'), to: new Date('2008-07-01') },
+    { abbreviation: 'OKC', name: 'Oklahoma City Thunder', from: new Date('2008-07-01'), to: null },
+];
+const thunder = [{ abbreviation: 'SEA' }, { abbreviation: 'OKC' }];
+const lakers = [{ abbreviation: 'LAL' }];
+const topPlayersRanking = { stat: 'PTS', mode: 'perGame', minGames: 1, order: -1, skip: 0, limit: 10 };
+
+/**
+ * One sample query per builder in lib/pipelines.js, plus the queries routes run directly.
+ * A builder without a sample here fails the check, so new routes can't skip it.
+ */
+const QUERY_SAMPLES = [
+    { name: 'buildPlayerSearchPipeline', collection: 'players', pipeline: pipelines.buildPlayerSearchPipeline('LeBron James', gameFilter) },
+    { name: 'buildPlayerByIdPipeline', collection: 'players', pipeline: pipelines.buildPlayerByIdPipeline(2544, gameFilter) },
+    { name: 'buildPlayersCareerPipeline', collection: 'players', pipeline: pipelines.buildPlayersCareerPipeline([2544, 201142, 201939], gameFilter) },
+    { name: 'buildPlayersSeasonsPipeline', collection: 'players', pipeline: pipelines.buildPlayersSeasonsPipeline([2544, 201142, 201939], gameFilter) },
+    { name: 'buildPlayerSuggestPipeline', collection: 'players', pipeline: pipelines.buildPlayerSuggestPipeline('lebr') },
+    { name: 'buildResolvePlayerPipeline', collection: 'players', pipeline: pipelines.buildResolvePlayerPipeline('durant') },
+    { name: 'buildResolvePlayerPipeline (by ID)', collection: 'players', pipeline: pipelines.buildResolvePlayerPipeline('2544') },
+    { name: 'buildPlayerSplitsPipeline', collection: 'players', pipeline: pipelines.buildPlayerSplitsPipeline(2544, gameFilter) },
+    { name: 'buildPlayerTradedSeasonsPipeline', collection: 'players', pipeline: pipelines.buildPlayerTradedSeasonsPipeline(2544, gameFilter) },
+    { name: 'buildPlayerGameLogPipeline', collection: 'players', pipeline: pipelines.buildPlayerGameLogPipeline(2544, { ...gameFilter, ...pipelines.buildDateFilter({ from: '2016-01-01', to: '2016-03-31' }).filter }, { sort: 'PTS', order: -1, skip: 0, limit: 25 }) },
+    { name: 'buildPlayerTrendPipeline', collection: 'players', pipeline: pipelines.buildPlayerTrendPipeline(2544, ['PTS', 'TS_PCT'], 10, gameFilter) },
+    { name: 'buildPlayerTeammatesPipeline', collection: 'players', pipeline: pipelines.buildPlayerTeammatesPipeline(2544, gameFilter, { sort: 'gamesPlayed', minGames: 1, skip: 0, limit: 20 }) },
+    { name: 'buildPlayerMatchupPipeline', collection: 'players', pipeline: pipelines.buildPlayerMatchupPipeline([2544, 201142], gameFilter) },
+    { name: 'buildPlayerGamesStatsPipeline', collection: 'players', pipeline: pipelines.buildPlayerGamesStatsPipeline([2544, 201142], [21900001, 21900002]) },
+    { name: 'buildLeadersPipeline', collection: 'players', pipeline: pipelines.buildLeadersPipeline({ stat: 'PTS', mode: 'perGame', minGames: 50, order: -1, skip: 0, limit: 25 }, gameFilter) },
+    { name: 'buildTeamNameFilter', collection: 'franchises', filter: pipelines.buildTeamNameFilter('Lakers') },
+    { name: 'buildFranchiseFilter', collection: 'franchises', filter: pipelines.buildFranchiseFilter('OKC') },
+    { name: 'buildTeamIdFilter', collection: 'teams', filter: pipelines.buildTeamIdFilter('LAL') },
+    { name: 'buildTeamTopPlayersPipeline', collection: 'players', pipeline: pipelines.buildTeamTopPlayersPipeline(thunder, thunderEras, gameFilter, topPlayersRanking) },
+    { name: 'buildTeamTopPlayersPipeline (one era)', collection: 'players', pipeline: pipelines.buildTeamTopPlayersPipeline(thunderEras.slice(0, 1), thunderEras, gameFilter, topPlayersRanking) },
+    { name: 'buildTeamEfficiencyPipeline', collection: 'teams', pipeline: pipelines.buildTeamEfficiencyPipeline(thunder, gameFilter) },
+    { name: 'buildMatchupGamesFilter', collection: 'teams', filter: pipelines.buildMatchupGamesFilter(thunder, lakers, gameFilter) },
+    { name: 'buildMatchupGameLogPipeline', collection: 'teams', pipeline: pipelines.buildMatchupGameLogPipeline(thunder, lakers, gameFilter) },
+    { name: 'buildMatchupTopPlayersPipeline', collection: 'players', pipeline: pipelines.buildMatchupTopPlayersPipeline(thunder, lakers, thunderEras, gameFilter) },
+    { name: 'buildStandingsPipeline', collection: 'teams', pipeline: pipelines.buildStandingsPipeline('2019') },
+    { name: 'buildFinderPipeline', collection: 'players', pipeline: pipelines.buildFinderPipeline({ playerId: 2544, opponentSelection: [{ abbreviation: 'BOS' }] }, pipelines.buildStatConditions('PTS:gte:40').filter, gameFilter, { sort: 'date', order: -1, skip: 0, limit: 25 }) },
+    { name: 'buildFinderPipeline (team)', collection: 'teams', pipeline: pipelines.buildFinderPipeline({ teamSelection: lakers, venue: 'away', result: 'win' }, pipelines.buildStatConditions(['PTS:gte:130']).filter, gameFilter, { sort: 'PTS', order: -1, skip: 0, limit: 25 }) },
+    { name: 'buildGameIdFilter', collection: 'teams', filter: pipelines.buildGameIdFilter(21900001) },
+    { name: 'buildGameIdFilter (players)', collection: 'players', filter: pipelines.buildGameIdFilter(21900001) },
+    { name: 'buildErasAtDateFilter', collection: 'franchises', filter: pipelines.buildErasAtDateFilter(['SEA', 'LAL'], new Date('2005-01-15')) },
+    { name: 'buildDataVersionFilter', collection: 'meta', filter: pipelines.buildDataVersionFilter() },
+    { name: 'season list (distinct)', collection: 'teams', distinct: 'season' },
+];
+
+// Helpers exported alongside the builders that don't produce a query on their own
+const NON_QUERY_BUILDERS = ['buildGameFilter', 'buildStatConditions', 'buildDateFilter', 'buildCareerPipeline'];
+
+/**
+ * Creates every index in INDEXES. createIndex is a no-op for indexes that already exist,
+ * so this is safe to run after every import.
+ * @param {import('mongodb').Db} db - The database.
+ * @returns {Promise<number>} The number of indexes that could not be created.
+ */
+async function ensureIndexes(db) {
+    let failures = 0;
+
+    for (const [collectionName, indexes] of Object.entries(INDEXES)) {
+        for (const { key, ...options } of indexes) {
+            try {
+                const name = await db.collection(collectionName).createIndex(key, options);
+                console.log(`  ${collectionName}: ${name}`);
+            } catch (err) {
+                failures++;
+                console.error(`  ${collectionName}: could not create ${JSON.stringify(key)} - ${err.message}`);
+            }
+        }
+    }
+
+    return failures;
+}
+
+/**
+ * Collects every plan stage name in an explain() result, wherever the server nests it
+ * (winningPlan, $cursor stages, shard results, slot-based queryPlan, ...).
+ * @param {*} node - The explain output, or part of it.
+ * @param {string[]} stages - Accumulator for the stage names found.
+ * @returns {string[]} The stage names.
+ */
+function collectStages(node, stages = []) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectStages(child, stages));
+    } else if (node && typeof node === 'object') {
+        if (typeof node.stage === 'string') stages.push(node.stage);
+        // Rejected plans are alternatives the planner did not pick
+        Object.entries(node).forEach(([key, child]) => {
+            if (key !== 'rejectedPlans') collectStages(child, stages);
+        });
+    }
+    return stages;
+}
+
+/**
+ * Checks that the foreign field of every $lookup in a pipeline is the first key of an index
+ * on the joined collection; lookups don't show up in the top-level query plan.
+ * @param {import('mongodb').Db} db - The database.
+ * @param {Array<object>} pipeline - The aggregation pipeline.
+ * @returns {Promise<string[]>} A problem description per unindexed lookup.
+ */
+async function checkLookups(db, pipeline) {
+    const problems = [];
+
+    for (const stage of pipeline) {
+        if (!stage.$lookup || !stage.$lookup.foreignField) continue;
+        const { from, foreignField } = stage.$lookup;
+        const indexes = await db.collection(from).indexes();
+        if (!indexes.some(index => Object.keys(index.key)[0] === foreignField)) {
+            problems.push(`$lookup on ${from}.${foreignField} has no index`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Runs explain() on every sample query and reports collection scans, unindexed lookups
+ * and builders without a sample.
+ * @param {import('mongodb').Db} db - The database.
+ * @returns {Promise<number>} The number of problems found.
+ */
+async function checkQueries(db) {
+    let problems = 0;
+
+    for (const sample of QUERY_SAMPLES) {
+        const collection = db.collection(sample.collection);
+        let explain;
+
+        if (sample.pipeline) {
+            explain = await collection.aggregate(sample.pipeline).explain('queryPlanner');
+        } else if (sample.filter) {
+            explain = await collection.find(sample.filter).explain('queryPlanner');
+        } else {
+            explain = await db.command({ explain: { distinct: sample.collection, key: sample.distinct }, verbosity: 'queryPlanner' });
+        }
+
+        const stages = collectStages(explain);
+        const sampleProblems = sample.pipeline ? await checkLookups(db, sample.pipeline) : [];
+        if (stages.includes('COLLSCAN')) sampleProblems.unshift('collection scan (COLLSCAN)');
+
+        const status = sampleProblems.length === 0 ? 'OK  ' : 'FAIL';
+        console.log(`  [${status}] ${sample.name} on ${sample.collection}: ${[...new Set(stages)].join(' > ') || 'no plan stages'}`);
+        sampleProblems.forEach(problem => console.log(`         - ${problem}`));
+        problems += sampleProblems.length;
+    }
+
+    const covered = new Set(QUERY_SAMPLES.map(sample => sample.name.split(' ')[0]));
+    const uncovered = Object.keys(pipelines)
+        .filter(name => name.startsWith('build') && !NON_QUERY_BUILDERS.includes(name) && !covered.has(name));
+    uncovered.forEach(name => console.log(`  [FAIL] ${name} has no sample in setup-indexes.js, so its query plan is never checked`));
+
+    return problems + uncovered.length;
+}
+
+async function main() {
+    let exitCode = 0;
+
+    try {
+        await client.connect();
+        console.log('Connected to MongoDB Atlas');
+        const db = client.db(dbName);
+
+        if (checkMode) {
+            console.log('Checking query plans for every server query...');
+            const problems = await checkQueries(db);
+            console.log(problems === 0 ? 'All queries use indexes.' : `${problems} problem(s) found. Run "npm run indexes" or add the missing index to INDEXES.`);
+            if (problems > 0) exitCode = 1;
+        } else {
+            console.log('Ensuring indexes...');
+            const failures = await ensureIndexes(db);
+            console.log(failures === 0 ? 'All indexes are in place.' : `${failures} index(es) could not be created.`);
+            if (failures > 0) exitCode = 1;
+        }
+    } catch (err) {
+        console.error('An error occurred while setting up indexes:', err);
+        exitCode = 1;
+    } finally {
+        await client.close();
+        console.log('MongoDB connection closed.');
+    }
+
+    process.exit(exitCode);
+}
+
+main();
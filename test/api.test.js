@@ -0,0 +1,257 @@
+/**
+ * Request/response checks for the search and matchup routes.
+ *
+ * The server is started on the fixture backend (DATA_BACKEND=fixture) with the sample in fixtures/,
+ * so no database is needed. Expected values are worked out from the fixture files themselves.
+ */
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE_DIR = path.join(ROOT, 'fixtures');
+
+let server;
+let baseUrl;
+
+/**
+ * Reads the documents of a fixture collection. Dates stay in their Extended JSON form.
+ * @param {string} name - The collection.
+ * @returns {Array<object>} The documents.
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, `${name}.jsonl`), 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+const playerLines = readFixture('players');
+const teamLines = readFixture('teams');
+
+/**
+ * Sends a GET request to the test server.
+ * @param {string} apiPath - The path and query, e.g. '/api/matchup/MIA/BOS'.
+ * @returns {Promise<{status: number, body: *}>} The status, and the body (parsed when it is JSON).
+ */
+async function get(apiPath) {
+    const res = await fetch(`${baseUrl}${apiPath}`);
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, body: isJson ? await res.json() : await res.text() };
+}
+
+/**
+ * The mean of some numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {number} The mean.
+ */
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+before(async () => {
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: '0',
+            DATA_BACKEND: 'fixture',
+            FIXTURE_DIR,
+            CACHE_MAX_ENTRIES: '0'
+        },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    baseUrl = await new Promise((resolve, reject) => {
+        let output = '';
+        server.stdout.on('data', (chunk) => {
+            output += chunk;
+            const match = output.match(/Server running at (http:\/\/\S+)/);
+            if (match) resolve(match[1]);
+        });
+        server.on('exit', code => reject(new Error(`The server exited with code ${code} before listening.`)));
+    });
+});
+
+after(() => {
+    server.kill();
+});
+
+describe('GET /api/players/search/:name', () => {
+    test('returns the career stats of the best match', async () => {
+        const lines = playerLines.filter(line => line.playerId === 2544);
+        const { status, body } = await get('/api/players/search/LeBron James');
+
+        assert.equal(status, 200);
+        assert.equal(body._id, 'LeBron James');
+        assert.equal(body.playerId, 2544);
+        assert.deepEqual(body.teams, ['Miami Heat']);
+        assert.equal(body.gamesPlayed, lines.length);
+        assert.equal(body.totalPTS, lines.reduce((sum, line) => sum + line.PTS, 0));
+        assert.equal(body.avgPTS, mean(lines.map(line => line.PTS)));
+        assert.equal(body.FG_PCT, body.totalFGM / body.totalFGA * 100);
+    });
+
+    test('lists the next candidates by games played', async () => {
+        const { status, body } = await get('/api/players/search/an');
+
+        assert.equal(status, 200);
+        assert.ok(body.otherMatches.length > 0 && body.otherMatches.length <= 5);
+        const games = [body.gamesPlayed, ...body.otherMatches.map(match => match.gamesPlayed)];
+        assert.deepEqual(games, [...games].sort((a, b) => b - a));
+        body.otherMatches.forEach(match => assert.deepEqual(Object.keys(match).sort(), ['gamesPlayed', 'player', 'playerId']));
+    });
+
+    test('applies the season and game type filters', async () => {
+        const lines = playerLines.filter(line => line.playerId === 2544 && line.season === '2012' && line.type === 'playoff');
+        const { status, body } = await get('/api/players/search/LeBron James?seasonFrom=2012&type=playoff');
+
+        assert.equal(status, 200);
+        assert.equal(body.gamesPlayed, lines.length);
+        assert.equal(body.avgPTS, mean(lines.map(line => line.PTS)));
+    });
+
+    test('answers 404 for an unknown player and 400 for a bad filter', async () => {
+        const missing = await get('/api/players/search/Nobody Atall');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'PLAYER_NOT_FOUND');
+
+        const invalid = await get('/api/players/search/LeBron James?seasonFrom=abc');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'INVALID_PARAMETER');
+    });
+});
+
+describe('GET /api/teams/search/:teamName', () => {
+    test('ranks the team\'s players on points per game', async () => {
+        const rosterIds = [...new Set(playerLines.filter(line => line.team === 'LAL').map(line => line.playerId))];
+        const { status, body } = await get('/api/teams/search/Lakers');
+
+        assert.equal(status, 200);
+        assert.equal(body.teamName, 'Los Angeles Lakers');
+        assert.equal(body.teamId, 1610612747);
+        assert.equal(body.total, rosterIds.length);
+        assert.deepEqual(body.players.map(player => player.playerId).sort(), rosterIds.sort());
+        assert.deepEqual(body.players.map(player => player.rank), body.players.map((player, index) => index + 1));
+        const averages = body.players.map(player => player.avgPTS);
+        assert.deepEqual(averages, [...averages].sort((a, b) => b - a));
+    });
+
+    test('pages through a ranking on totals', async () => {
+        const { status, body } = await get('/api/teams/search/LAL?stat=REB&mode=totals&limit=2&page=2');
+
+        assert.equal(status, 200);
+        assert.equal(body.page, 2);
+        assert.equal(body.totalPages, 2);
+        assert.equal(body.players.length, 1);
+        assert.equal(body.players[0].rank, 3);
+
+        const first = await get('/api/teams/search/LAL?stat=REB&mode=totals&limit=2');
+        assert.ok(first.body.players.every(player => player.totalREB >= body.players[0].totalREB));
+    });
+
+    test('answers 404 for an unknown team and 400 for an unknown stat', async () => {
+        const missing = await get('/api/teams/search/Nowhere');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'TEAM_NOT_FOUND');
+
+        const invalid = await get('/api/teams/search/Lakers?stat=FOO');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.code, 'INVALID_PARAMETER');
+    });
+});
+
+describe('GET /api/matchup/:team1/:team2', () => {
+    test('returns every game between the teams with each side\'s record', async () => {
+        const expected = teamLines.filter(line => line.team === 'MIA' && [line.home, line.away].includes('BOS'));
+        const { status, body } = await get('/api/matchup/MIA/BOS');
+
+        assert.equal(status, 200);
+        assert.equal(body.team1.name, 'Miami Heat');
+        assert.equal(body.team2.name, 'Boston Celtics');
+        assert.equal(body.gamesPlayed, expected.length);
+        assert.equal(body.team1.wins, expected.filter(line => line.win).length);
+        assert.equal(body.team1.wins + body.team2.wins, body.gamesPlayed);
+        assert.equal(body.byType.playoff.games, expected.filter(line => line.type === 'playoff').length);
+
+        const dates = body.games.map(game => game.date);
+        assert.deepEqual(dates, [...dates].sort().reverse());
+        body.games.forEach((game) => {
+            assert.equal(game.winner, game.team1.PTS > game.team2.PTS ? 'team1' : 'team2');
+            assert.equal(game.margin, game.team1.PTS - game.team2.PTS);
+        });
+    });
+
+    test('lists each side\'s top scorers in the matchup', async () => {
+        const miamiIds = new Set(playerLines.filter(line => line.team === 'MIA').map(line => line.playerId));
+        const { body } = await get('/api/matchup/MIA/BOS');
+
+        assert.ok(body.team1TopPlayers.length > 0);
+        body.team1TopPlayers.forEach(player => assert.ok(miamiIds.has(player.playerId)));
+        const averages = body.team1TopPlayers.map(player => player.avgPTS);
+        assert.deepEqual(averages, [...averages].sort((a, b) => b - a));
+    });
+
+    test('exports the games as CSV', async () => {
+        const { status, body } = await get('/api/matchup/MIA/BOS?format=csv');
+
+        assert.equal(status, 200);
+        assert.equal(body.split('\r\n')[0], 'gameId,date,season,type,home,away,team1.team,team1.PTS,team1.win,team2.team,team2.PTS,team2.win,winner,margin');
+    });
+
+    test('rejects two names for the same franchise and unknown teams', async () => {
+        const same = await get('/api/matchup/MIA/Heat');
+        assert.equal(same.status, 400);
+        assert.equal(same.body.code, 'INVALID_PARAMETER');
+
+        const missing = await get('/api/matchup/MIA/XYZ');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'TEAM_NOT_FOUND');
+    });
+});
+
+describe('GET /api/players/matchup/:p1/:p2', () => {
+    test('returns the games the players played against each other', async () => {
+        const pierceGames = new Map(playerLines.filter(line => line.playerId === 1718).map(line => [line.gameId, line]));
+        const lebronLines = playerLines.filter(line => line.playerId === 2544
+            && pierceGames.has(line.gameId) && pierceGames.get(line.gameId).team !== line.team);
+        const { status, body } = await get('/api/players/matchup/LeBron James/Paul Pierce');
+
+        assert.equal(status, 200);
+        assert.equal(body.gamesPlayed, lebronLines.length);
+        assert.equal(body.player1.playerId, 2544);
+        assert.equal(body.player2.playerId, 1718);
+        assert.equal(body.player1.wins + body.player2.wins, body.gamesPlayed);
+        assert.equal(body.player1.avgPTS, mean(lebronLines.map(line => line.PTS)));
+        body.games.forEach((game) => {
+            assert.equal(game.player1.team, 'MIA');
+            assert.equal(game.player2.team, 'BOS');
+        });
+    });
+
+    test('accepts player IDs as well as names', async () => {
+        const byName = await get('/api/players/matchup/LeBron James/Paul Pierce');
+        const byId = await get('/api/players/matchup/2544/1718');
+
+        assert.equal(byId.status, 200);
+        assert.deepEqual(byId.body, byName.body);
+    });
+
+    test('has no games for teammates', async () => {
+        const { status, body } = await get('/api/players/matchup/LeBron James/Dwyane Wade');
+
+        assert.equal(status, 200);
+        assert.equal(body.gamesPlayed, 0);
+        assert.deepEqual(body.games, []);
+    });
+
+    test('rejects the same player twice and unknown players', async () => {
+        const same = await get('/api/players/matchup/2544/LeBron James');
+        assert.equal(same.status, 400);
+        assert.equal(same.body.code, 'INVALID_PARAMETER');
+
+        const missing = await get('/api/players/matchup/LeBron James/Nobody Atall');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.code, 'PLAYER_NOT_FOUND');
+    });
+});